@@ -1,5 +1,10 @@
-import { program } from 'commander';
+#!/usr/bin/env node
+import { program, Option } from 'commander';
 import Controller from './src/Controller.js';
+import Export from './src/Export.js';
+import Inputs from './src/Inputs.js';
+import Matrix from './src/Matrix.js';
+import Report from './src/Report.js';
 
 /**
  * Program definition: t.ex-graph-converter
@@ -10,19 +15,243 @@ program
   .description('A tool to convert labeled data sets generated by T.EX to t.ex-Graph in the GEXF format.')
   .version('1.0.0');
 
+/**
+ * A function to collect the values of a repeatable option.
+ * @param {String} value The value of the current occurrence of the option.
+ * @param {Array} previous The values of the previous occurrences.
+ * @returns {Array} All values of the option.
+ */
+const collect = (value, previous) => previous.concat([value]);
+
+/**
+ * Options shared by all commands that compute node attributes.
+ * Options: centrality, weight, features, only-features, exclude-features
+ * @param {Command} command A command created with ``program.command()``.
+ * @returns {Command} The command including the shared options.
+ */
+const featureOptions = (command) => command
+  .option('-c, --centrality [metrics...]', 'compute centrality metrics as node attributes (pagerank, hits, betweenness, closeness, eigenvector, degree; default: all)')
+  .option('-w, --weight <feature>', 'edge feature used as edge weight for centrality metrics (e.g., count, tracking)')
+  .option('--features <file>', 'ES module exporting additional feature objects (repeatable)', collect, [])
+  .option('--only-features <names...>', 'only use the given built-in features and tracking features of blocklists (count and the features they require are always used)')
+  .option('--exclude-features <names...>', 'do not use the given built-in features or tracking features of blocklists');
+
+/**
+ * Options shared by all commands that export t.ex-graph.
+ * Options: layout, layout-iterations, size-by, color-by
+ * @param {Command} command A command created with ``program.command()``.
+ * @returns {Command} The command including the shared options.
+ */
+const layoutOptions = (command) => command
+  .option('--layout', 'compute a ForceAtlas2 layout and write positions, sizes and colors of the nodes (viz namespace in GEXF)')
+  .option('--layout-iterations <n>', 'number of iterations of ForceAtlas2', '100')
+  .option('--size-by <attribute>', 'numeric node attribute (or indegree) mapped to the node size', 'count')
+  .option('--color-by <attribute>', 'numeric node attribute mapped to the node color from green (0) to red (1)', 'tracking');
+
+/**
+ * Options shared by all commands that process input files.
+ * Options: sld, entity, first-party, silent, recursive, input-format, blocklist, strict, skipped-report
+ *          and the options of ``featureOptions``
+ * @param {Command} command A command created with ``program.command()``.
+ * @returns {Command} The command including the shared options.
+ */
+const inputOptions = (command) => featureOptions(
+  command
+    .option('--sld', 'in case nodes should be second level domains instead of fully qualified domain names')
+    .option('--entity <map>', 'nodes are organizations mapped from domains with a local entity map (e.g., DuckDuckGo Tracker Radar), unmapped hosts fall back to second level domains')
+    .option('-fp, --first-party', 'include first-party requests to generate nodes and edges')
+    .option('-s, --silent', 'disable progress indicator printing on console')
+    .option('-r, --recursive', 'search input directories recursively')
+    .addOption(
+      new Option('--input-format <format>', 'format of the input files (default: detected by file extension)')
+        .choices(Object.keys(Inputs.formats))
+    )
+    .option('--blocklist <file>', 'label the requests with a filter list in the Adblock Plus syntax, e.g., EasyList (repeatable)', collect, [])
+    .option('--strict', 'fail on the first invalid record instead of skipping it')
+    .option('--skipped-report <file>', 'write the number of processed and skipped records by reason as JSON')
+);
+
+/**
+ * Options shared by all commands that generate a single t.ex-graph.
+ * Options: append-to, workers, checkpoint, checkpoint-every, resume and the options of ``inputOptions``
+ * @param {Command} command A command created with ``program.command()``.
+ * @returns {Command} The command including the shared options.
+ */
+const graphOptions = (command) => inputOptions(
+  command
+    .option('--append-to <graph>', 'fold the requests into a graph previously exported as GEXF or graphology JSON')
+    .option('--workers <n>', 'process the input files with n worker threads and merge their partial graphs')
+    .option('--checkpoint <file>', 'periodically write the state of the conversion to a checkpoint file')
+    .option('--checkpoint-every <records>', 'number of records between two checkpoints', '100000')
+    .option('--resume <checkpoint>', 'resume an interrupted conversion from a checkpoint file (with the same inputs and options)')
+);
+
 /**
  * CLI-Command definition: gexf
  * Description: Convert exported JSON files to t.ex-graph in the GEXF format.
- * Arguments: dir
- * Options: output, sld, first-party, silent
- */
-program.command('gexf')
-  .description('Convert exported JSON files to t.ex-graph in the GEXF format.')
-  .argument('<dir>', 'path to JSON files')
-  .option('-o, --output <file>', 'name of the output file created in current working directory', 'output.gexf')
-  .option('--sld', 'in case nodes should be second level domains instead of fully qualified domain names')
-  .option('-fp, --first-party', 'include first-party requests to generate nodes and edges')
-  .option('-s, --silent', 'disable progress indicator printing on console')
-  .action((dir, options) => Controller.gexf(dir, options));
+ * Arguments: inputs
+ * Options: output and the options of ``layoutOptions`` and ``graphOptions``
+ */
+graphOptions(layoutOptions(
+  program.command('gexf')
+    .description('Convert exported JSON files to t.ex-graph in the GEXF format.')
+    .argument('<inputs...>', 'paths to input files or directories, or glob patterns')
+    .option('-o, --output <file>', 'name of the output file created in current working directory', 'output.gexf')
+))
+  .action((inputs, options) => Controller.gexf(inputs, options));
+
+/**
+ * CLI-Command definition: convert
+ * Description: Convert exported JSON files to t.ex-graph in the selected format.
+ * Arguments: inputs
+ * Options: format, output and the options of ``layoutOptions`` and ``graphOptions``
+ */
+graphOptions(layoutOptions(
+  program.command('convert')
+    .description('Convert exported JSON files to t.ex-graph in the selected format.')
+    .argument('<inputs...>', 'paths to input files or directories, or glob patterns')
+    .addOption(
+      new Option('-f, --format <format>', 'output format')
+        .choices(Object.keys(Export.formats))
+        .default('gexf')
+    )
+    .option('-o, --output <file>', 'name of the output file (or directory for csv) created in current working directory (default: "output.<format>")')
+))
+  .action((inputs, options) => Controller.convert(inputs, options));
+
+/**
+ * CLI-Command definition: dynamic
+ * Description: Convert exported JSON files to dynamic t.ex-graph with one graph per time window.
+ * Arguments: inputs
+ * Options: window, snapshots, format, output and the options of ``inputOptions``
+ */
+inputOptions(
+  program.command('dynamic')
+    .description('Convert exported JSON files to dynamic t.ex-graph with one graph per time window.')
+    .argument('<inputs...>', 'paths to input files or directories, or glob patterns')
+    .option('--window <size>', 'size of the windows: hour, day (by request timeStamp), or a number of requests', 'day')
+    .option('--snapshots', 'write one graph per window instead of a single dynamic GEXF file')
+    .addOption(
+      new Option('-f, --format <format>', 'output format of the snapshots')
+        .choices(Object.keys(Export.formats))
+        .default('gexf')
+    )
+    .option('-o, --output <file>', 'name of the output file created in current working directory, snapshots are suffixed with their window (default: "output.<format>")')
+)
+  .action((inputs, options) => Controller.dynamic(inputs, options));
+
+/**
+ * CLI-Command definition: merge
+ * Description: Merge graphs previously exported as GEXF or graphology JSON.
+ * Arguments: graphs
+ * Options: format, output and the options of ``layoutOptions`` and ``featureOptions``
+ */
+featureOptions(layoutOptions(
+  program.command('merge')
+    .description('Merge graphs previously exported as GEXF or graphology JSON.')
+    .argument('<graphs...>', 'paths to GEXF or graphology JSON files')
+    .addOption(
+      new Option('-f, --format <format>', 'output format')
+        .choices(Object.keys(Export.formats))
+        .default('gexf')
+    )
+    .option('-o, --output <file>', 'name of the output file (or directory for csv) created in current working directory (default: "output.<format>")')
+))
+  .action((graphs, options) => Controller.merge(graphs, options));
+
+/**
+ * CLI-Command definition: report
+ * Description: Write a summary report of t.ex-graph with statistics, top nodes and feature histograms.
+ * Arguments: inputs
+ * Options: graph, format, output, top and the options of ``graphOptions``
+ */
+graphOptions(
+  program.command('report')
+    .description('Write a summary report of t.ex-graph with statistics, top nodes and feature histograms.')
+    .argument('<inputs...>', 'paths to input files or directories, or glob patterns (or exported graphs with --graph)')
+    .option('--graph', 'the inputs are graphs previously exported as GEXF or graphology JSON')
+    .addOption(
+      new Option('-f, --format <format>', 'format of the report')
+        .choices(Object.keys(Report.formats))
+        .default('md')
+    )
+    .option('-o, --output <file>', 'name of the report file created in current working directory (default: "report.<format>")')
+    .option('--top <n>', 'number of nodes in the top tables', '10')
+)
+  .action((inputs, options) => Controller.report(inputs, options));
+
+/**
+ * Options shared by all commands that label nodes as trackers.
+ * Options: threshold, trackers
+ * @param {Command} command A command created with ``program.command()``.
+ * @returns {Command} The command including the shared options.
+ */
+const labelOptions = (command) => command
+  .option('-t, --threshold <ratio>', 'label nodes with a tracking ratio greater than or equal to the threshold as trackers', '0.5')
+  .option('--trackers <file>', 'label nodes contained in a list of known trackers (one domain per line) as trackers instead');
+
+/**
+ * CLI-Command definition: matrix
+ * Description: Export the node attributes of t.ex-graph as feature matrix including a label column.
+ * Arguments: inputs
+ * Options: format, output, split, seed and the options of ``labelOptions`` and ``graphOptions``
+ */
+graphOptions(labelOptions(
+  program.command('matrix')
+    .description('Export the node attributes of t.ex-graph as feature matrix including a label column.')
+    .argument('<inputs...>', 'paths to input files or directories, or glob patterns')
+    .addOption(
+      new Option('-f, --format <format>', 'format of the feature matrix')
+        .choices(Object.keys(Matrix.formats))
+        .default('csv')
+    )
+    .option('-o, --output <file>', 'name of the output file created in current working directory (default: "matrix.<format>")')
+    .option('--split <ratio>', 'split the matrix by first-party site into a training and a test set with the given ratio of test sites')
+    .option('--seed <seed>', 'seed for the assignment of first-party sites to the training or test set', '')
+))
+  .action((inputs, options) => Controller.matrix(inputs, options));
+
+/**
+ * CLI-Command definition: train
+ * Description: Train a tracker classifier on the node attributes of t.ex-graph.
+ * Arguments: inputs
+ * Options: model, epochs, learning-rate, regularization, cutoff, split, seed
+ *          and the options of ``labelOptions`` and ``graphOptions``
+ */
+graphOptions(labelOptions(
+  program.command('train')
+    .description('Train a tracker classifier on the node attributes of t.ex-graph.')
+    .argument('<inputs...>', 'paths to input files or directories, or glob patterns')
+    .option('-m, --model <file>', 'name of the model file created in current working directory', 'model.json')
+    .option('--epochs <n>', 'number of iterations of gradient descent', '1000')
+    .option('--learning-rate <rate>', 'learning rate of gradient descent', '0.1')
+    .option('--regularization <lambda>', 'L2 regularization strength', '0.001')
+    .option('--cutoff <score>', 'minimum score to predict a node as tracker', '0.5')
+    .option('--split <ratio>', 'train on a training set and evaluate on a test set split by first-party site with the given ratio of test sites')
+    .option('--seed <seed>', 'seed for the assignment of first-party sites to the training or test set', '')
+))
+  .action((inputs, options) => Controller.train(inputs, options));
+
+/**
+ * CLI-Command definition: predict
+ * Description: Predict trackers with a trained classifier and store the prediction as node attributes.
+ * Arguments: inputs
+ * Options: model, cutoff, format, output
+ *          and the options of ``layoutOptions``, ``labelOptions`` and ``graphOptions``
+ */
+graphOptions(labelOptions(layoutOptions(
+  program.command('predict')
+    .description('Predict trackers with a trained classifier and store the prediction as node attributes.')
+    .argument('<inputs...>', 'paths to input files or directories, or glob patterns')
+    .requiredOption('-m, --model <file>', 'model file created with the command train')
+    .option('--cutoff <score>', 'minimum score to predict a node as tracker', '0.5')
+    .addOption(
+      new Option('-f, --format <format>', 'output format')
+        .choices(Object.keys(Export.formats))
+        .default('gexf')
+    )
+    .option('-o, --output <file>', 'name of the output file (or directory for csv) created in current working directory (default: "output.<format>")')
+)))
+  .action((inputs, options) => Controller.predict(inputs, options));
 
 program.parse();
\ No newline at end of file
@@ -0,0 +1,146 @@
+import Centrality from './Centrality.js';
+import Entities from './Entities.js';
+import Export from './Export.js';
+import Import from './Import.js';
+import Inputs from './Inputs.js';
+import Labels from './Labels.js';
+import Plugins from './Plugins.js';
+import Records from './Records.js';
+import Wdg from './Wdg.js';
+
+/**
+ * A function to create a graph builder. The options are the same as the options of the command
+ * ``convert`` in camel case, e.g., ``{ sld: true, centrality: ['pagerank'], blocklist: ['easylist.txt'] }``.
+ * The builder provides the following methods:
+ * - ``addRequests(requests)``: processes the requests of an iterable or async iterable
+ *   (e.g., an array or a stream created with {@link module:Api.readRequests|``readRequests()``}).
+ *   Invalid records are skipped (see {@link module:Records.validate|``Records.validate()``}).
+ *   In case option ``strict`` is set, the returned promise rejects on the first invalid record instead.
+ *   Resolves with the builder, so that several calls can be chained.
+ * - ``finalize()``: computes the node attributes (and centrality metrics) using
+ *   {@link Wdg.attributes|``Wdg.attributes()``}. Resolves with the graph generated with ``graphology``.
+ *   Requests can still be added afterwards, in which case ``finalize()`` has to be called again.
+ * - ``get()``: returns the graph generated with ``graphology``.
+ * - ``report()``: returns the number of processed and skipped records
+ *   (see {@link module:Records.report|``Records.report()``}).
+ * @param {Object} options Options object. Defaults to ``{}``.
+ * @returns {Promise} Resolves with the builder. Rejects with an error in case the options are invalid,
+ * e.g., a feature module, a blocklist or an entity map cannot be loaded.
+ */
+export const createGraph = async (options = {}) => {
+  let err = Plugins.validate(options);
+  if (err) {
+    throw new Error(err);
+  }
+
+  let features = await Plugins.load(options);
+  if (options.centrality) {
+    err = Centrality.validate(options, features);
+    if (err) {
+      throw new Error(err);
+    }
+  }
+
+  let blocklists = Labels.load(options.blocklist);
+  if (options.entity) {
+    Entities.load(options.entity);
+  }
+
+  let graph = new Wdg(features, options);
+  if (options.appendTo) {
+    graph.merge(Import.read(options.appendTo));
+  }
+
+  let records = 0;
+  let skipped = {};
+  let errors = new Set();
+
+  return {
+
+    async addRequests(requests) {
+      for await (let r of requests) {
+        let reason = Records.ingest(r, graph, blocklists, options, errors);
+        if (reason && options.strict) {
+          throw new Error('invalid record ' + records + ' (' + reason + ')');
+        }
+
+        records += 1;
+        if (reason) {
+          skipped[reason] = (skipped[reason] || 0) + 1;
+        }
+      }
+
+      return this;
+    },
+
+    finalize() {
+      return graph.attributes(options);
+    },
+
+    get() {
+      return graph.get();
+    },
+
+    report() {
+      return Records.report(records, skipped);
+    },
+
+  };
+};
+
+/**
+ * A function to build t.ex-graph from HTTP/S requests, i.e., to create a builder
+ * (see {@link module:Api.createGraph|``createGraph()``}), add the requests, and finalize the graph.
+ * @param {Object} requests An iterable or async iterable of HTTP/S requests in the format
+ * of the ``webRequest`` interface as exported by T.EX.
+ * @param {Object} options Options object (see {@link module:Api.createGraph|``createGraph()``}).
+ * @returns {Promise} Resolves with the graph generated with ``graphology``.
+ */
+export const buildGraph = async (requests, options = {}) => {
+  let builder = await createGraph(options);
+  await builder.addRequests(requests);
+  return builder.finalize();
+};
+
+/**
+ * A function to read the HTTP/S requests of an input file in one of the supported input formats
+ * (see {@link module:Inputs.formats|``Inputs.formats``}).
+ * @param {String} file Path to the input file.
+ * @param {Object} options Options object, i.e., ``{ inputFormat }``. Defaults to ``{}``.
+ * @returns {Readable} A readable stream (object mode) of HTTP/S requests, which is an async iterable.
+ */
+export const readRequests = (file, options = {}) => Inputs.iterate(file, options);
+
+/**
+ * A function to serialize a graph as string (see {@link module:Export.serialize|``Export.serialize()``}).
+ * @param {Object} graph A graph generated with ``graphology``.
+ * @param {String} format The name of the format, i.e., ``gexf``, ``graphml``, ``json`` or ``html``. Defaults to ``gexf``.
+ * @returns {String} The serialized graph.
+ */
+export const serialize = (graph, format = 'gexf') => Export.serialize(graph, format);
+
+/**
+ * A function to write a graph to a file (see {@link module:Export.write|``Export.write()``}).
+ * @param {Object} graph A graph generated with ``graphology``.
+ * @param {Object} options Options object, i.e., ``{ format, output }``.
+ */
+export const writeGraph = (graph, options = {}) => Export.write(graph, options);
+
+/**
+ * A module to use t.ex-graph as a library, i.e., without the command-line interface.
+ * Several graphs can be built in the same process.
+ * ```js
+ * import { buildGraph, readRequests, serialize } from 't.ex-graph-converter';
+ *
+ * let graph = await buildGraph(readRequests('examples/input.json'), { sld: true });
+ * let gexf = serialize(graph, 'gexf');
+ * ```
+ * @module Api
+ */
+export default {
+  createGraph,
+  buildGraph,
+  readRequests,
+  serialize,
+  writeGraph,
+};
@@ -0,0 +1,243 @@
+import pagerank from 'graphology-metrics/centrality/pagerank.js';
+import hits from 'graphology-metrics/centrality/hits.js';
+import betweenness from 'graphology-metrics/centrality/betweenness.js';
+import closeness from 'graphology-metrics/centrality/closeness.js';
+import eigenvector from 'graphology-metrics/centrality/eigenvector.js';
+import { weightedInDegree, weightedOutDegree } from 'graphology-metrics/node/weighted-degree.js';
+
+import Graph from 'graphology';
+
+import Features from './Features.js';
+import Util from './Util.js';
+
+/**
+ * A function to create a copy of a graph instance containing all nodes but only
+ * the request edges (see {@link module:Util.isRequest|``Util.isRequest()``}).
+ * The copy is a simple directed graph, since request edges are unique per pair of nodes.
+ * @param {Object} graph A graph generated with ``graphology``.
+ * @returns {Object} The copy of the graph instance.
+ */
+const requests = (graph) => {
+  let copy = new Graph({ type: 'directed' });
+  graph.forEachNode((node) => copy.addNode(node));
+  graph.forEachEdge((edge, attrs, source, target) => {
+    if (Util.isRequest(attrs)) {
+      copy.addEdgeWithKey(edge, source, target, attrs);
+    }
+  });
+
+  return copy;
+};
+
+/**
+ * A function to retrieve the weight of an edge like ``graphology-metrics`` does,
+ * i.e., edges without a numeric value of the selected edge feature have a weight of 1.
+ * @param {Object} attrs The attributes of the edge.
+ * @param {String} weight The name of the edge feature used as edge weight.
+ * @returns {Number} The weight of the edge.
+ */
+const value = (attrs, weight) => (typeof attrs[weight] === 'number' && !isNaN(attrs[weight]))
+  ? attrs[weight]
+  : 1;
+
+/**
+ * A function to create a copy of a graph instance without the edges whose weight is zero.
+ * Nodes whose out-edges all have a weight of zero become dangling nodes, i.e., their rank is
+ * distributed uniformly, instead of being divided by a total out-weight of zero.
+ * @param {Object} graph A graph generated with ``graphology`` (see {@link module:Centrality~requests|``requests()``}).
+ * @param {String} weight The name of the edge feature used as edge weight.
+ * @returns {Object} The copy of the graph instance.
+ */
+const positive = (graph, weight) => {
+  let copy = graph.emptyCopy();
+  graph.forEachEdge((edge, attrs, source, target) => {
+    if (value(attrs, weight) > 0) {
+      copy.addEdgeWithKey(edge, source, target, attrs);
+    }
+  });
+
+  return copy;
+};
+
+/**
+ * A function to create the undirected projection of a graph instance. The edges of both directions
+ * between two nodes are merged into one edge whose ``weight`` is the sum of their weights.
+ * Self-loops (i.e., first-party requests with option ``firstParty``) are left out.
+ * Crawl graphs are mostly acyclic (first parties request third parties), thus, the power iteration
+ * of ``eigenvector`` does not converge on the directed graph.
+ * @param {Object} graph A graph generated with ``graphology`` (see {@link module:Centrality~requests|``requests()``}).
+ * @param {String} weight The name of the edge feature used as edge weight (optional).
+ * @returns {Object} The undirected projection of the graph instance.
+ */
+const undirected = (graph, weight) => {
+  let copy = new Graph({ type: 'undirected' });
+  graph.forEachNode((node) => copy.addNode(node));
+  graph.forEachEdge((edge, attrs, source, target) => {
+    if (source === target) {
+      return;
+    }
+
+    let w = (weight) ? value(attrs, weight) : 1;
+    if (copy.hasEdge(source, target)) {
+      copy.updateEdgeAttribute(source, target, 'weight', (sum) => sum + w);
+    } else {
+      copy.addEdge(source, target, { weight: w });
+    }
+  });
+
+  return copy;
+};
+
+/**
+ * @constant
+ * @type {Object}
+ * @desc The convergence settings of the power iteration of ``eigenvector``.
+ */
+const convergence = { maxIterations: 1000, tolerance: 1e-6 };
+
+/**
+ * A module to compute centrality metrics of a graph instance.
+ * The metrics are computed with
+ * {@link https://www.npmjs.com/package/graphology-metrics|``graphology-metrics``}
+ * after the node attributes have been computed in {@link Wdg.attributes|``Wdg.attributes()``}
+ * and are stored as additional node attributes.
+ * @module Centrality
+ */
+export default {
+
+  /**
+   * @desc An object containing all supported metrics.
+   * Each metric is a function which receives the graph instance and
+   * the edge weight getter, and returns an object mapping the name of a
+   * node attribute to the computed values of all nodes:
+   * ```json
+   * { attribute: { node_1: value_1, node_2: value_2, ..., node_n: value_n } }
+   * ```
+   * **NOTE:** ``closeness`` does not support edge weights. For ``betweenness``
+   * the weight of an edge is interpreted as a distance, thus, the inverse of the
+   * selected edge feature is used. For ``pagerank`` edges with a weight of zero are left out
+   * (see {@link module:Centrality~positive|``positive()``}), and ``eigenvector`` is computed
+   * on the undirected projection (see {@link module:Centrality~undirected|``undirected()``}).
+   */
+  metrics: {
+
+    pagerank: (graph, weight) => ({
+      pagerank: pagerank((weight) ? positive(graph, weight) : graph, { getEdgeWeight: weight })
+    }),
+
+    hits: (graph, weight) => {
+      let { hubs, authorities } = hits(graph, { getEdgeWeight: weight });
+      return {
+        hub: hubs,
+        authority: authorities
+      };
+    },
+
+    betweenness: (graph, weight) => ({
+      betweenness: betweenness(graph, {
+        getEdgeWeight: (weight)
+          ? (edge, attr) => (attr[weight] > 0) ? 1 / attr[weight] : Infinity
+          : null
+      })
+    }),
+
+    closeness: (graph) => ({
+      closeness: closeness(graph)
+    }),
+
+    eigenvector: (graph, weight) => ({
+      eigenvector: eigenvector(undirected(graph, weight), { getEdgeWeight: 'weight', ...convergence })
+    }),
+
+    degree: (graph, weight) => graph
+      .nodes()
+      .reduce((acc, node) => {
+        acc.weightedInDegree[node] = (weight)
+          ? weightedInDegree(graph, node, weight)
+          : graph.inDegree(node);
+        acc.weightedOutDegree[node] = (weight)
+          ? weightedOutDegree(graph, node, weight)
+          : graph.outDegree(node);
+        return acc;
+      }, { weightedInDegree: {}, weightedOutDegree: {} }),
+
+  },
+
+  /**
+   * A function to check the centrality options passed via the command-line.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @param {Object} features The feature objects used to generate the graph.
+   * @returns {String} Returns an error message in case the options are invalid.
+   * Returns ``undefined`` otherwise.
+   */
+  validate(options, features = Features) {
+    let unknown = this
+      .selected(options)
+      .filter((metric) => !this.metrics[metric]);
+
+    if (unknown.length > 0) {
+      return 'unknown centrality metric(s) ' + unknown.join(', ') +
+        ' (available: ' + Object.keys(this.metrics).join(', ') + ')';
+    }
+
+    if (options.weight && !features[options.weight]) {
+      return 'unknown edge feature ' + options.weight + ' selected as weight';
+    }
+
+    if (options.weight && features[options.weight].init &&
+        typeof features[options.weight].init() !== 'number') {
+      return 'edge feature ' + options.weight + ' is not numeric and cannot be selected as weight';
+    }
+  },
+
+  /**
+   * A function to retrieve the selected metrics.
+   * In case ``--centrality`` is passed without arguments, all metrics are selected.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {Array} Returns the names of the selected metrics.
+   */
+  selected(options) {
+    return (Array.isArray(options.centrality))
+      ? options.centrality
+      : Object.keys(this.metrics);
+  },
+
+  /**
+   * A function to compute the selected centrality metrics and to merge them
+   * into the node attributes of the graph instance.
+   * The metrics are computed on the request edges only, i.e., redirect edges are not considered.
+   * Throws an error in case a metric fails (e.g., in case a power iteration does not converge),
+   * so that no graph with missing attributes is written.
+   * @param {Object} graph A graph generated with ``graphology``.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {Object} Returns the graph instance.
+   */
+  compute(graph, options) {
+    let weight = options.weight || null;
+    let copy = requests(graph);
+
+    this
+      .selected(options)
+      .forEach((metric) => {
+        let results;
+        try {
+          results = this.metrics[metric](copy, weight);
+        } catch (err) {
+          throw new Error('centrality metric ' + metric + ' failed (' + err.message + ')');
+        }
+
+        Object
+          .keys(results)
+          .forEach((attribute) =>
+            graph.forEachNode((node) =>
+              graph.setNodeAttribute(node, attribute, results[attribute][node])
+            )
+          );
+      });
+
+    return graph;
+  },
+
+};
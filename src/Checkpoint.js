@@ -0,0 +1,134 @@
+import fs from 'fs';
+
+/**
+ * @constant
+ * @type {Number}
+ * @desc The version of the checkpoint format.
+ */
+const version = 1;
+
+/**
+ * @constant
+ * @type {Array}
+ * @desc The options that change the graph. A checkpoint can only be resumed with the same values.
+ */
+const relevant = ['sld', 'firstParty', 'inputFormat', 'features', 'onlyFeatures', 'excludeFeatures', 'blocklist', 'entity', 'appendTo'];
+
+/**
+ * A function to select the options that change the graph.
+ * @param {Object} options Options object passed by ``commander``.
+ * @returns {Object} The values of the relevant options (``null`` in case an option is not set).
+ */
+const settings = (options) => relevant
+  .reduce((acc, name) => {
+    acc[name] = (options[name] === undefined) ? null : options[name];
+    return acc;
+  }, {});
+
+/**
+ * A module to write and read checkpoints of a conversion, i.e., the state of the graph instance
+ * (see {@link Wdg.checkpoint|``Wdg.checkpoint()``}) and the number of records already read from each input file.
+ * A checkpoint is written every ``checkpointEvery`` records and when the process is interrupted (``SIGINT``).
+ * A conversion is resumed with option ``resume``. The checkpoint is deleted once the conversion succeeded.
+ * @module Checkpoint
+ */
+export default {
+
+  /**
+   * A function to check the options related to checkpoints.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {String} Returns an error message in case the options are invalid.
+   * Returns ``undefined`` otherwise.
+   */
+  validate(options) {
+    if (!/^[0-9]+$/.test(String(options.checkpointEvery)) || Number(options.checkpointEvery) < 1) {
+      return 'invalid checkpoint interval ' + options.checkpointEvery + ' (expected a positive number of records)';
+    }
+
+    if ((options.checkpoint || options.resume) && options.workers !== undefined) {
+      return 'options --checkpoint and --resume cannot be combined with --workers';
+    }
+
+    if (options.resume && !fs.existsSync(options.resume)) {
+      return 'checkpoint not found at ' + options.resume;
+    }
+  },
+
+  /**
+   * A function to determine the path of the checkpoint file, i.e., option ``checkpoint``
+   * or, in case only option ``resume`` is set, the checkpoint that is resumed.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {String} The path of the checkpoint file. Returns ``undefined`` in case no checkpoints are written.
+   */
+  file(options) {
+    return options.checkpoint || options.resume;
+  },
+
+  /**
+   * A function to write a checkpoint. The checkpoint is written to a temporary file first,
+   * which then replaces the checkpoint file, so that an interruption while writing
+   * does not corrupt the previous checkpoint.
+   * @param {String} file The path of the checkpoint file.
+   * @param {Object} ctx The context of the pipeline, i.e., ``{ graph, options, files, idx, log, skipped }``,
+   * where ``idx`` is the index of the current input file.
+   */
+  write(file, ctx) {
+    let checkpoint = {
+      version,
+      files: ctx.files,
+      options: settings(ctx.options),
+      idx: ctx.idx,
+      log: ctx.log,
+      skipped: ctx.skipped,
+      state: ctx.graph.checkpoint(),
+    };
+
+    fs.writeFileSync(file + '.tmp', JSON.stringify(checkpoint));
+    fs.renameSync(file + '.tmp', file);
+  },
+
+  /**
+   * A function to delete the checkpoint files once the conversion succeeded, i.e., the file of option
+   * ``checkpoint`` and the resumed checkpoint (option ``resume``), so that they are not resumed by mistake.
+   * @param {Object} options Options object passed by ``commander``.
+   */
+  remove(options) {
+    [options.checkpoint, options.resume]
+      .filter((file) => file && fs.existsSync(file))
+      .forEach((file) => fs.unlinkSync(file));
+  },
+
+  /**
+   * A function to read a checkpoint and to check whether it can be resumed
+   * with the given input files and options.
+   * @param {String} file The path of the checkpoint file.
+   * @param {Array} files The paths of the input files.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {Object} Returns the checkpoint in the format ``{ version, files, options, idx, log, skipped, state }``.
+   * Throws an error in case the checkpoint cannot be read or was created with other input files or options.
+   */
+  read(file, files, options) {
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw new Error('checkpoint ' + file + ' cannot be read (' + err.message + ')');
+    }
+
+    if (checkpoint.version !== version) {
+      throw new Error('checkpoint ' + file + ' has an unsupported version ' + checkpoint.version);
+    }
+
+    if (JSON.stringify(checkpoint.files) !== JSON.stringify(files)) {
+      throw new Error('checkpoint ' + file + ' was created with other input files');
+    }
+
+    if (JSON.stringify(checkpoint.options) !== JSON.stringify(settings(options))) {
+      throw new Error('checkpoint ' + file + ' was created with other options');
+    }
+
+    return checkpoint;
+  },
+
+};
@@ -0,0 +1,210 @@
+import fs from 'fs';
+
+import Matrix from './Matrix.js';
+import Util from './Util.js';
+
+/**
+ * A function to compute the logistic function.
+ * @param {Number} z The input value.
+ * @returns {Number} A value between 0 and 1.
+ */
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * A function to convert the rows of a feature matrix to standardized feature vectors.
+ * @param {Array} columns The columns of the feature matrix (see {@link module:Matrix.columns|``Matrix.columns()``}).
+ * @param {Array} rows The rows of the feature matrix.
+ * @param {Object} model The model containing ``features``, ``mean``, and ``std``.
+ * @returns {Array} Returns an array of feature vectors.
+ */
+const vectors = (columns, rows, model) => {
+  let indices = model.features.map((feature) =>
+    columns.findIndex((column) => column.name === feature)
+  );
+
+  return rows.map((row) =>
+    indices.map((idx, i) => {
+      let value = (idx < 0 || typeof row[idx] !== 'number') ? 0 : row[idx];
+      return Util.ratio(value - model.mean[i], model.std[i]);
+    })
+  );
+};
+
+/**
+ * A module to implement a binary tracker classifier (logistic regression) on the
+ * node attributes computed in {@link Wdg.attributes|``Wdg.attributes()``}.
+ * The model is trained with batch gradient descent on standardized features, weighting
+ * both classes equally to compensate for the low number of trackers in a data set.
+ * @module Classifier
+ */
+export default {
+
+  /**
+   * A function to train a model on a feature matrix. All feature columns are used as input,
+   * i.e., the node attributes the labels are derived from are not part of the model
+   * (see {@link module:Matrix.columns|``Matrix.columns()``}).
+   * @param {Array} columns The columns of the feature matrix (see {@link module:Matrix.columns|``Matrix.columns()``}).
+   * @param {Array} rows The rows of the feature matrix.
+   * @param {Object} options Options object passed by ``commander``.
+   * Uses ``epochs``, ``learningRate``, and ``regularization``.
+   * @returns {Object} Returns the model in the format:
+   * ```json
+   * { type: "logistic-regression", features: [...], mean: [...], std: [...], weights: [...], bias: 0 }
+   * ```
+   */
+  train(columns, rows, options) {
+    let features = columns
+      .filter((column) => column.kind === 'feature')
+      .map((column) => column.name);
+    let labelIdx = columns.findIndex((column) => column.kind === 'label');
+
+    let raw = features.map((feature) => {
+      let idx = columns.findIndex((column) => column.name === feature);
+      return rows.map((row) => (typeof row[idx] === 'number') ? row[idx] : 0);
+    });
+
+    let model = {
+      type: 'logistic-regression',
+      features,
+      mean: raw.map((values) => Util.ratio(values.reduce((acc, val) => acc + val, 0), values.length)),
+      std: [],
+      weights: features.map(() => 0),
+      bias: 0,
+    };
+
+    model.std = raw.map((values, i) => Math.sqrt(
+      Util.ratio(values.reduce((acc, val) => acc + Math.pow(val - model.mean[i], 2), 0), values.length)
+    ));
+
+    let x = vectors(columns, rows, model);
+    let y = rows.map((row) => row[labelIdx]);
+
+    let positives = y.filter(Boolean).length;
+    let classWeight = [
+      Util.ratio(y.length, 2 * (y.length - positives)),
+      Util.ratio(y.length, 2 * positives),
+    ];
+
+    let epochs = Number(options.epochs);
+    let learningRate = Number(options.learningRate);
+    let regularization = Number(options.regularization);
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      let gradient = features.map(() => 0);
+      let biasGradient = 0;
+
+      x.forEach((vector, i) => {
+        let z = vector.reduce((acc, val, j) => acc + val * model.weights[j], model.bias);
+        let error = (sigmoid(z) - y[i]) * classWeight[y[i]];
+
+        vector.forEach((val, j) => gradient[j] += error * val);
+        biasGradient += error;
+      });
+
+      model.weights = model.weights.map((w, j) =>
+        w - learningRate * (Util.ratio(gradient[j], x.length) + regularization * w)
+      );
+      model.bias -= learningRate * Util.ratio(biasGradient, x.length);
+    }
+
+    return model;
+  },
+
+  /**
+   * A function to compute the tracker scores for the rows of a feature matrix.
+   * @param {Object} model A model created with {@link module:Classifier.train|``Classifier.train()``}.
+   * @param {Array} columns The columns of the feature matrix.
+   * @param {Array} rows The rows of the feature matrix.
+   * @returns {Array} Returns the scores (between 0 and 1) in the order of ``rows``.
+   */
+  score(model, columns, rows) {
+    return vectors(columns, rows, model)
+      .map((vector) => sigmoid(
+        vector.reduce((acc, val, j) => acc + val * model.weights[j], model.bias)
+      ));
+  },
+
+  /**
+   * A function to predict trackers and to store the prediction as node attributes
+   * ``predictedTrackerScore`` (score between 0 and 1) and ``predictedTracker`` (label 0 or 1).
+   * @param {Object} model A model created with {@link module:Classifier.train|``Classifier.train()``}.
+   * @param {Object} graph A graph generated with ``graphology``.
+   * @param {Object} options Options object passed by ``commander``.
+   * Uses ``cutoff`` as decision threshold for the label.
+   * @returns {Object} Returns the evaluation of the prediction against the ground-truth labels
+   * (see {@link module:Classifier.evaluate|``Classifier.evaluate()``}).
+   */
+  predict(model, graph, options) {
+    let { columns, train: rows } = Matrix.rows(graph, { ...options, split: undefined });
+    let labelIdx = columns.findIndex((column) => column.kind === 'label');
+    let scores = this.score(model, columns, rows);
+    let predictions = scores.map((score) => Util.zeroOrOne(score >= Number(options.cutoff)));
+
+    rows.forEach((row, i) => {
+      graph.mergeNodeAttributes(row[0], {
+        predictedTrackerScore: scores[i],
+        predictedTracker: predictions[i],
+      });
+    });
+
+    return this.evaluate(rows.map((row) => row[labelIdx]), predictions);
+  },
+
+  /**
+   * A function to evaluate predictions against ground-truth labels.
+   * @param {Array} labels The ground-truth labels (0 or 1).
+   * @param {Array} predictions The predicted labels (0 or 1).
+   * @returns {Object} Returns the confusion matrix, precision, recall, F1 score and accuracy.
+   */
+  evaluate(labels, predictions) {
+    let result = labels.reduce((acc, label, i) => {
+      if (predictions[i] && label) acc.tp += 1;
+      else if (predictions[i] && !label) acc.fp += 1;
+      else if (!predictions[i] && label) acc.fn += 1;
+      else acc.tn += 1;
+      return acc;
+    }, { tp: 0, fp: 0, fn: 0, tn: 0 });
+
+    result.precision = Util.ratio(result.tp, result.tp + result.fp);
+    result.recall = Util.ratio(result.tp, result.tp + result.fn);
+    result.f1 = Util.ratio(2 * result.precision * result.recall, result.precision + result.recall);
+    result.accuracy = Util.ratio(result.tp + result.tn, labels.length);
+
+    return result;
+  },
+
+  /**
+   * A function to print an evaluation on the console.
+   * @param {String} title The title of the evaluation.
+   * @param {Object} result The result of {@link module:Classifier.evaluate|``Classifier.evaluate()``}.
+   */
+  report(title, result) {
+    console.log(title);
+    console.log('  TP: ' + result.tp + ', FP: ' + result.fp + ', FN: ' + result.fn + ', TN: ' + result.tn);
+    ['precision', 'recall', 'f1', 'accuracy']
+      .forEach((metric) => console.log('  ' + metric + ': ' + result[metric].toFixed(4)));
+  },
+
+  /**
+   * A function to save a model as JSON file.
+   * @param {Object} model A model created with {@link module:Classifier.train|``Classifier.train()``}.
+   * @param {String} file Path to the model file.
+   */
+  save(model, file) {
+    fs.writeFileSync(file, JSON.stringify(model, null, 2));
+  },
+
+  /**
+   * A function to load a model from a JSON file.
+   * @param {String} file Path to the model file.
+   * @returns {Object} Returns the model.
+   */
+  load(file) {
+    let model = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (model.type !== 'logistic-regression' || !Array.isArray(model.features)) {
+      throw new Error(file + ' is not a model created with the command train');
+    }
+    return model;
+  },
+
+};
@@ -1,8 +1,20 @@
-import fs from 'fs';
-import JSONStream from 'JSONStream';
-import gexf from 'graphology-gexf';
+import Centrality from './Centrality.js';
+import Checkpoint from './Checkpoint.js';
+import Classifier from './Classifier.js';
+import Dynamic from './Dynamic.js';
+import Entities from './Entities.js';
+import Export from './Export.js';
+import Import from './Import.js';
+import Inputs from './Inputs.js';
+import Labels from './Labels.js';
+import Layout from './Layout.js';
+import Matrix from './Matrix.js';
+import Plugins from './Plugins.js';
+import Records from './Records.js';
+import Report from './Report.js';
 import Util from './Util.js';
 import Wdg from './Wdg.js';
+import Workers from './Workers.js';
 
 /**
  * A module to handle command-line interface commands.
@@ -12,72 +24,531 @@ export default {
 
   /**
    * @desc Method ``gexf()`` to handle the command gexf.
-   * @param {String} dir - Relative or absolute path to the exported JSON files generated by T.EX.
+   * @param {Array} inputs - Paths to input files or directories, or glob patterns
+   * (see {@link module:Inputs.discover|``Inputs.discover()``}).
    * @param {Object} options - Options object passed by ``commander`` to this function.
    * See {@link https://www.npmjs.com/package/commander#options} for more details.
    * @method
    */
-  gexf: function(dir, options) {
-    let path = Util.path(dir);
-    if (!path) {
-      console.log('Error: files not found at ' + path);
+  gexf: function(inputs, options) {
+    this.convert(inputs, { ...options, format: 'gexf' });
+  },
+
+  /**
+   * @desc Method ``convert()`` to handle the command convert.
+   * The graph is written in the format selected with option ``format``
+   * (see {@link module:Export.formats|``Export.formats``}).
+   * @param {Array} inputs - Paths to input files or directories, or glob patterns
+   * (see {@link module:Inputs.discover|``Inputs.discover()``}).
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @method
+   */
+  convert: function(inputs, options) {
+    this.validateLayout(options);
+    this.build(inputs, options, (graph) => Export.write(this.layout(graph, options), options));
+  },
+
+  /**
+   * @desc Method ``matrix()`` to handle the command matrix.
+   * The node attributes are written as feature matrix
+   * (see {@link module:Matrix.write|``Matrix.write()``}).
+   * @param {Array} inputs - Paths to input files or directories, or glob patterns
+   * (see {@link module:Inputs.discover|``Inputs.discover()``}).
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @method
+   */
+  matrix: function(inputs, options) {
+    let err = Matrix.validate(options);
+    if (err) {
+      console.log('Error: ' + err);
+      process.exit(1);
+    }
+
+    this.build(inputs, options, (graph) => Matrix.write(graph, options));
+  },
+
+  /**
+   * @desc Method ``train()`` to handle the command train.
+   * A tracker classifier is trained on the node attributes and saved as JSON file
+   * (see {@link module:Classifier.train|``Classifier.train()``}).
+   * In case option ``split`` is set, the model is trained on the training set
+   * and evaluated on the test set.
+   * @param {Array} inputs - Paths to input files or directories, or glob patterns
+   * (see {@link module:Inputs.discover|``Inputs.discover()``}).
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @method
+   */
+  train: function(inputs, options) {
+    let err = Matrix.validate(options);
+    if (err) {
+      console.log('Error: ' + err);
+      process.exit(1);
+    }
+
+    this.build(inputs, options, (graph) => {
+      let { columns, train, test } = Matrix.rows(graph, options);
+      let labelIdx = columns.findIndex((column) => column.kind === 'label');
+      let model = Classifier.train(columns, train, options);
+      Classifier.save(model, options.model);
+
+      let evaluate = (rows) => Classifier.evaluate(
+        rows.map((row) => row[labelIdx]),
+        Classifier
+          .score(model, columns, rows)
+          .map((score) => Util.zeroOrOne(score >= Number(options.cutoff)))
+      );
+
+      Classifier.report('Training set (' + train.length + ' nodes)', evaluate(train));
+      if (options.split !== undefined) {
+        Classifier.report('Test set (' + test.length + ' nodes)', evaluate(test));
+      }
+    });
+  },
+
+  /**
+   * @desc Method ``predict()`` to handle the command predict.
+   * The prediction of a model created with the command train is stored as node attributes
+   * (see {@link module:Classifier.predict|``Classifier.predict()``}) and the graph is
+   * written in the format selected with option ``format``.
+   * @param {Array} inputs - Paths to input files or directories, or glob patterns
+   * (see {@link module:Inputs.discover|``Inputs.discover()``}).
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @method
+   */
+  predict: function(inputs, options) {
+    let err = Matrix.validate(options) || ((options.layout) ? Layout.validate(options) : undefined);
+    if (err) {
+      console.log('Error: ' + err);
+      process.exit(1);
+    }
+
+    let model;
+    try {
+      model = Classifier.load(options.model);
+    } catch (e) {
+      console.log('Error: ' + e.message);
+      process.exit(1);
+    }
+
+    this.build(inputs, options, (graph) => {
+      Classifier.report('Evaluation (' + graph.order + ' nodes)', Classifier.predict(model, graph, options));
+      Export.write(this.layout(graph, options), options);
+    });
+  },
+
+  /**
+   * @desc Method ``dynamic()`` to handle the command dynamic.
+   * The requests are split into windows, the node attributes are computed per window,
+   * and the windows are written as dynamic GEXF or as snapshots
+   * (see {@link module:Dynamic.write|``Dynamic.write()``}).
+   * @param {Array} inputs - Paths to input files or directories, or glob patterns
+   * (see {@link module:Inputs.discover|``Inputs.discover()``}).
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @method
+   */
+  dynamic: function(inputs, options) {
+    let err = Dynamic.validate(options);
+    if (err) {
+      console.log('Error: ' + err);
+      process.exit(1);
+    }
+
+    this.build(
+      inputs,
+      options,
+      (slices) => Dynamic.write(slices, options),
+      (features) => Dynamic.graph(features, options)
+    );
+  },
+
+  /**
+   * @desc Method ``build()`` to generate t.ex-graph from the input files
+   * found in ``inputs``. Invalid records are skipped (see {@link module:Records.validate|``Records.validate()``}),
+   * or the run fails in case option ``strict`` is set.
+   * In case option ``blocklist`` is set, the requests are labeled
+   * with the blocklists (see {@link module:Labels.label|``Labels.label()``}).
+   * In case option ``entity`` is set, the entity map is loaded beforehand
+   * (see {@link module:Entities.load|``Entities.load()``}).
+   * In case option ``workers`` is set, the files are processed by worker threads
+   * (see {@link module:Controller.parallel|``Controller.parallel()``}).
+   * Once all files are processed and the node attributes are computed,
+   * ``done`` is called with the graph instance.
+   * @param {Array} inputs - Paths to input files or directories, or glob patterns
+   * (see {@link module:Inputs.discover|``Inputs.discover()``}).
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @param {Function} done - Callback which receives the graph instance and the statistics of the records,
+   * i.e., the report of the skipped records (see {@link module:Records.report|``Records.report()``})
+   * including the discarded requests (see {@link Wdg.discarded|``Wdg.discarded()``}).
+   * @param {Function} create - Optional factory which receives the feature objects and returns
+   * the graph instance. Defaults to {@link module:Controller.graph|``Controller.graph()``}.
+   * @method
+   */
+  build: function(inputs, options, done, create = (features) => this.graph(features, options)) {
+    let err = ((options.workers !== undefined) ? Workers.validate(options) : undefined) ||
+      ((options.checkpointEvery !== undefined) ? Checkpoint.validate(options) : undefined);
+    if (err) {
+      console.log('Error: ' + err);
+      process.exit(1);
+    }
+
+    let files;
+    let blocklists;
+    try {
+      files = Inputs.discover(inputs, options);
+      blocklists = Labels.load(options.blocklist);
+      if (options.entity) {
+        Entities.load(options.entity);
+      }
+    } catch (e) {
+      console.log('Error: ' + e.message);
+      process.exit(1);
+    }
+
+    this
+      .features(options)
+      .then((features) => (options.workers !== undefined)
+        ? this.parallel(files, options, create(features), done)
+        : this.process(files, options, create(features), done, blocklists)
+      );
+  },
+
+  /**
+   * @desc Method ``parallel()`` to process the input files with worker threads
+   * (see {@link module:Workers.run|``Workers.run()``}). The partial graphs are merged into ``graph``,
+   * the node attributes are computed, and ``done`` is called with the graph instance.
+   * Exits in case a worker fails.
+   * @param {Array} files - The paths of the input files.
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * @param {Object} graph - The graph instance.
+   * @param {Function} done - Callback which receives the graph instance and the statistics of the records,
+   * i.e., the report of the skipped records (see {@link module:Records.report|``Records.report()``})
+   * including the discarded requests (see {@link Wdg.discarded|``Wdg.discarded()``}).
+   * @method
+   */
+  parallel: function(files, options, graph, done) {
+    let ctx = { options, log: [], printed: 0 };
+
+    Workers
+      .run(files, options, graph, (idx, records) => {
+        ctx.log[idx] = records;
+        this.progress(ctx);
+      })
+      .catch((err) => {
+        console.log('Error: ' + err.message);
+        process.exit(1);
+      })
+      .then((report) => {
+        this.progress(ctx, true);
+        Records.write(report, options);
+        return this
+          .attributes(graph, options)
+          .then((result) => done(result, { ...report, discarded: graph.discarded() }));
+      });
+  },
+
+  /**
+   * @desc Method ``merge()`` to handle the command merge.
+   * The graphs are merged using {@link Wdg.merge|``Wdg.merge()``}, the node attributes
+   * are recomputed, and the graph is written in the format selected with option ``format``.
+   * @param {Array} graphs - Paths to graphs previously exported as GEXF or graphology JSON.
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @method
+   */
+  merge: function(graphs, options) {
+    this.validateLayout(options);
+    this
+      .features(options)
+      .then((features) => {
+        let graph = new Wdg(features, options);
+        try {
+          graphs.forEach((file) => graph.merge(Import.read(file)));
+        } catch (e) {
+          console.log('Error: ' + e.message);
+          process.exit(1);
+        }
+
+        return this.attributes(graph, options);
+      })
+      .then((graph) => Export.write(this.layout(graph, options), options));
+  },
+
+  /**
+   * @desc Method ``attributes()`` to compute the node attributes of the graph instance
+   * (see {@link Wdg.attributes|``Wdg.attributes()``}). Exits in case of an error, e.g., in case
+   * a centrality metric fails (see {@link module:Centrality.compute|``Centrality.compute()``}).
+   * @param {Wdg} graph - The graph instance.
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * @returns {Promise} Resolves with the graph generated with ``graphology``.
+   * @method
+   */
+  attributes: function(graph, options) {
+    return Promise
+      .resolve(graph.attributes(options))
+      .catch((err) => {
+        console.log('Error: ' + err.message);
+        process.exit(1);
+      });
+  },
+
+  /**
+   * @desc Method ``validateLayout()`` to check the options of the layout in case option ``layout`` is set
+   * (see {@link module:Layout.validate|``Layout.validate()``}). Exits in case of an error.
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * @method
+   */
+  validateLayout: function(options) {
+    let err = (options.layout) ? Layout.validate(options) : undefined;
+    if (err) {
+      console.log('Error: ' + err);
       process.exit(1);
     }
+  },
+
+  /**
+   * @desc Method ``layout()`` to compute the layout, the sizes and the colors of the nodes
+   * in case option ``layout`` is set (see {@link module:Layout.assign|``Layout.assign()``}).
+   * Exits in case of an error.
+   * @param {Object} graph - A graph generated with ``graphology`` including the node attributes.
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * @returns {Object} The graph.
+   * @method
+   */
+  layout: function(graph, options) {
+    if (!options.layout) {
+      return graph;
+    }
 
-    if (!Util.isDir(path)) {
-      console.log('Error: ' + path + ' is not a directory');
+    try {
+      return Layout.assign(graph, options);
+    } catch (e) {
+      console.log('Error: ' + e.message);
       process.exit(1);
     }
+  },
 
-    let files = Util.batches(path);
-    if (files.length === 0) {
-      console.log('Error: ' + path + ' contains no JSON files');
+  /**
+   * @desc Method ``report()`` to handle the command report.
+   * The report is written in the format selected with option ``format``
+   * (see {@link module:Report.write|``Report.write()``}).
+   * In case option ``graph`` is set, the inputs are graphs previously exported as GEXF or graphology JSON,
+   * which are merged like with the command merge. Otherwise, the graph is generated from the input files.
+   * @param {Array} inputs - Paths to input files or directories, or glob patterns
+   * (see {@link module:Inputs.discover|``Inputs.discover()``}), or paths to exported graphs.
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @method
+   */
+  report: function(inputs, options) {
+    if (!/^[0-9]+$/.test(String(options.top)) || Number(options.top) < 1) {
+      console.log('Error: invalid number of top nodes ' + options.top + ' (expected a positive number)');
       process.exit(1);
     }
 
-    this.process(path, files, options);
+    if (!options.graph) {
+      this.build(inputs, options, (graph, stats) => Report.write(graph, stats, options));
+      return;
+    }
+
+    this
+      .features(options)
+      .then((features) => {
+        let graph = new Wdg(features, options);
+        try {
+          inputs.forEach((file) => graph.merge(Import.read(file)));
+        } catch (e) {
+          console.log('Error: ' + e.message);
+          process.exit(1);
+        }
+
+        return this.attributes(graph, options);
+      })
+      .then((graph) => Report.write(graph, undefined, options));
   },
 
-  process: function(path, files, options) {
+  /**
+   * @desc Method ``features()`` to load the feature objects (see {@link module:Plugins.load|``Plugins.load()``})
+   * and to validate the options depending on them. Exits in case of an error.
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * @returns {Promise} Resolves with the feature objects.
+   * @method
+   */
+  features: function(options) {
+    let err = Plugins.validate(options);
+    if (err) {
+      console.log('Error: ' + err);
+      process.exit(1);
+    }
 
-    let streams = files.map((file) => fs.createReadStream(path + file));
-    streams.push(fs.createWriteStream(options.output));
+    return Plugins
+      .load(options)
+      .catch((err) => {
+        console.log('Error: ' + err.message);
+        process.exit(1);
+      })
+      .then((features) => {
+        if (options.centrality) {
+          let err = Centrality.validate(options, features);
+          if (err) {
+            console.log('Error: ' + err);
+            process.exit(1);
+          }
+        }
 
-    this.pipe(streams, 0, {
-      graph: new Wdg(),
+        return features;
+      });
+  },
+
+  /**
+   * @desc Method ``graph()`` to create the graph instance. In case option ``appendTo`` is set,
+   * the graph is initialized with a previously exported graph (see {@link Wdg.merge|``Wdg.merge()``}),
+   * unless a checkpoint is resumed, which already contains the previously exported graph.
+   * Exits in case of an error.
+   * @param {Object} features - The feature objects.
+   * @param {Object} options - Options object passed by ``commander`` to this function.
+   * @returns {Wdg} The graph instance.
+   * @method
+   */
+  graph: function(features, options) {
+    let graph = new Wdg(features, options);
+
+    if (options.appendTo && !options.resume) {
+      try {
+        graph.merge(Import.read(options.appendTo));
+      } catch (e) {
+        console.log('Error: ' + e.message);
+        process.exit(1);
+      }
+    }
+
+    return graph;
+  },
+
+  process: function(files, options, graph, done, blocklists = []) {
+
+    let ctx = {
+      graph,
       options, 
+      done,
+      files,
+      blocklists,
+      skipped: {},
+      errors: new Set(),
+      printed: 0,
+      idx: 0,
       log: Array(files.length).fill(0)
-    });
+    };
+
+    if (options.resume) {
+      try {
+        let checkpoint = Checkpoint.read(options.resume, files, options);
+        graph.restore(checkpoint.state);
+        Object.assign(ctx, { idx: checkpoint.idx, log: checkpoint.log, skipped: checkpoint.skipped });
+      } catch (e) {
+        console.log('Error: ' + e.message);
+        process.exit(1);
+      }
+    }
+
+    if (Checkpoint.file(options)) {
+      process.once('SIGINT', () => {
+        Checkpoint.write(Checkpoint.file(options), ctx);
+        console.error('Warning: interrupted, checkpoint written to ' + Checkpoint.file(options));
+        process.exit(130);
+      });
+    }
+
+    this.pipe(ctx.idx, ctx);
   },
 
-  pipe: async function(streams, idx, ctx) {
+  /**
+   * @desc Method ``progress()`` to print the number of processed records, unless option ``silent`` is set.
+   * The number is printed at most every 500 milliseconds.
+   * @param {Object} ctx The context of the pipeline, including the number of records per file (or worker).
+   * @param {Boolean} force Whether the number is printed regardless of the interval.
+   * @method
+   */
+  progress: function(ctx, force = false) {
+    if (ctx.options.silent || (!force && Date.now() - ctx.printed < 500)) {
+      return;
+    }
+
+    ctx.printed = Date.now();
+    console.clear();
+    console.log(ctx.log.reduce((acc, val) => acc + (val || 0), 0));
+  },
+
+  /**
+   * @desc Method ``skip()`` to count a skipped record by ``reason``.
+   * In case option ``strict`` is set, the run fails with the file and index of the record instead.
+   * @param {String} reason The reason why the record is skipped.
+   * @param {Number} idx The index of the current input file.
+   * @param {Object} ctx The context of the pipeline.
+   * @method
+   */
+  skip: function(reason, idx, ctx) {
+    if (ctx.options.strict) {
+      console.log('Error: invalid record ' + (ctx.log[idx] - 1) + ' of ' + ctx.files[idx] + ' (' + reason + ')');
+      process.exit(1);
+    }
+
+    ctx.skipped[reason] = (ctx.skipped[reason] || 0) + 1;
+  },
+
+  pipe: async function(idx, ctx) {
     
-    let out = streams[streams.length - 1];
-    let pipeline = streams[idx].pipe(JSONStream.parse('*'));
+    let file = ctx.files[idx];
+    let pipeline = Inputs.read(file, ctx.options);
+    let offset = ctx.log[idx];
+    let position = 0;
+    ctx.idx = idx;
+
+    pipeline.on('error', (err) => {
+      console.log('Error: failed to read ' + file + ' (' + err.message + ')');
+      process.exit(1);
+    });
+
+    pipeline.on('data', (r) => {
+
+      // Records already processed before the checkpoint was written are skipped
+      position += 1;
+      if (position <= offset) {
+        return;
+      }
 
-    pipeline.on('data', async (r) => {
-      
       ctx.log[idx] += 1;
-      if (!ctx.options.silent) {
-        console.clear();
-        console.log(ctx.log.reduce((acc, val) => acc + val, 0));
+      this.progress(ctx);
+
+      let reason = Records.ingest(r, ctx.graph, ctx.blocklists, ctx.options, ctx.errors);
+      if (reason) {
+        this.skip(reason, idx, ctx);
       }
 
-      await ctx.graph.process(r, ctx.options);
+      let total = ctx.log.reduce((acc, val) => acc + val, 0);
+      if (Checkpoint.file(ctx.options) && total % Number(ctx.options.checkpointEvery) === 0) {
+        Checkpoint.write(Checkpoint.file(ctx.options), ctx);
+      }
     });
     
-    if (idx < streams.length - 2) {
-      pipeline.on('end', () => this.pipe(streams, idx + 1, ctx));
+    if (idx < ctx.files.length - 1) {
+      pipeline.on('end', () => this.pipe(idx + 1, ctx));
     }
 
-    if (idx === streams.length - 2) {
+    if (idx === ctx.files.length - 1) {
       pipeline.on('end', async () => {
-        Promise.resolve(ctx.graph.attributes())
-          .then((graph) => {
-            let o = gexf.write(ctx.graph.get());
-            out.write(o);
-            out.close();  
-          });
+        this.progress(ctx, true);
+        let report = Records.report(ctx.log.reduce((acc, val) => acc + val, 0), ctx.skipped);
+        Records.write(report, ctx.options);
+
+        this.attributes(ctx.graph, ctx.options)
+          .then((graph) => ctx.done(graph, { ...report, discarded: ctx.graph.discarded() }))
+          .then(() => Checkpoint.remove(ctx.options));
       });
     }
   },  
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+
+import Util from './Util.js';
+
+/**
+ * @constant
+ * @type {Array}
+ * @desc The hash functions used to detect hashed disclosures.
+ */
+const hashes = ['md5', 'sha1', 'sha256'];
+
+/**
+ * @constant
+ * @type {Map}
+ * @desc A cache of the encoded forms of the first-party hostnames and URLs,
+ *       since the same first-party is disclosed by many requests.
+ */
+const cache = new Map();
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @desc A pattern to find Base64 encoded tokens (standard or URL-safe alphabet).
+ */
+const base64Token = /[A-Za-z0-9+/_-]{8,}={0,2}/g;
+
+/**
+ * A function to decode a URL-encoded string without throwing on malformed input.
+ * @param {String} value An URL-encoded string.
+ * @returns {String} The decoded string, or ``value`` in case it is malformed.
+ */
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+/**
+ * A function to compute the forms in which a first-party hostname or URL is searched:
+ * plain, URL-encoded, and hashed with MD5, SHA-1 and SHA-256 (hex). All forms are lowercase.
+ * Base64 encoded disclosures are detected by decoding (see {@link module:Disclosure.contains|``Disclosure.contains()``}).
+ * @param {String} needle A lowercase first-party hostname or URL.
+ * @returns {Array} The forms of ``needle``.
+ */
+const forms = (needle) => {
+  if (!cache.has(needle)) {
+    if (cache.size >= 10000) {
+      cache.clear();
+    }
+
+    cache.set(needle, [
+      needle,
+      encodeURIComponent(needle).toLowerCase(),
+      ...hashes.map((hash) => crypto.createHash(hash).update(needle).digest('hex')),
+    ]);
+  }
+
+  return cache.get(needle);
+};
+
+/**
+ * A module to detect the disclosure of the first-party (i.e., the hostname or the URL of the
+ * top-level page, see {@link module:Util.page|``Util.page()``}) in different channels of an HTTP/S request.
+ * The first-party is searched in plain, URL-encoded, Base64 encoded and hashed (MD5, SHA-1, SHA-256) form.
+ * @module Disclosure
+ */
+export default {
+
+  /**
+   * @desc An object containing all channels. Each channel is a function which receives
+   * an HTTP/S request and returns the strings of the channel that are searched:
+   * - ``query``: the query string and the decoded names and values of the query parameters of the target URL,
+   * - ``path``: the segments of the path of the target URL,
+   * - ``cookie``: the values of the ``Cookie`` header,
+   * - ``body``: the request body (see {@link module:Util.body|``Util.body()``}).
+   */
+  channels: {
+
+    query: (r) => {
+      let url = new URL(Util.target(r));
+      return [url.search.slice(1)]
+        .concat(...[...url.searchParams.entries()]);
+    },
+
+    path: (r) => new URL(Util.target(r))
+      .pathname
+      .split('/')
+      .filter(Boolean),
+
+    cookie: (r) => Util
+      .cookie(r)
+      .map(([name, ...value]) => value.join('=')),
+
+    body: (r) => [Util.body(r)],
+
+  },
+
+  /**
+   * A function to determine the first-party hostname and URL of an HTTP/S request.
+   * The URL is used in case it contains more than the origin. The ``Referer`` header is used
+   * as URL in case it points to the same host, since the initiator is only an origin.
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @returns {Array} Returns the lowercase first-party hostname and URLs without fragment.
+   * Returns an empty array in case no first-party could be determined.
+   */
+  needles(r) {
+    let page;
+    try {
+      page = new URL(Util.page(r));
+    } catch (err) {
+      return [];
+    }
+
+    let urls = [page.href];
+    let referer = Util.header(r.requestHeaders, 'referer');
+    if (referer) {
+      try {
+        let url = new URL(referer.value);
+        if (url.hostname === page.hostname) {
+          urls.push(url.href);
+        }
+      } catch (err) {
+        // ignore malformed Referer headers
+      }
+    }
+
+    return [page.hostname]
+      .concat(urls
+        .map((url) => url.split('#')[0])
+        .filter((url) => url !== page.origin + '/')
+      )
+      .map((needle) => needle.toLowerCase())
+      .filter((needle, idx, needles) => needle && needles.indexOf(needle) === idx);
+  },
+
+  /**
+   * A function to check whether a string contains one of the needles in any of the supported forms.
+   * Besides the string itself, its URL-decoded form and all Base64 encoded tokens are decoded and searched.
+   * @param {String} value The string to search.
+   * @param {Array} needles The needles created with {@link module:Disclosure.needles|``Disclosure.needles()``}.
+   * @returns {Boolean}
+   */
+  contains(value, needles) {
+    if (!value || needles.length === 0) {
+      return false;
+    }
+
+    let candidates = [value, decode(value)]
+      .concat((value.match(base64Token) || [])
+        .map((token) => Buffer.from(token, 'base64').toString('utf-8'))
+      )
+      .map((candidate) => candidate.toLowerCase());
+
+    return needles.some((needle) => forms(needle)
+      .some((form) => candidates.some((candidate) => candidate.includes(form)))
+    );
+  },
+
+  /**
+   * A function to check whether the first-party is disclosed in a channel of an HTTP/S request.
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @param {String} channel The name of a channel (see {@link module:Disclosure.channels|``Disclosure.channels``}).
+   * @returns {Boolean}
+   */
+  detect(r, channel) {
+    let needles = this.needles(r);
+    if (needles.length === 0) {
+      return false;
+    }
+
+    let values;
+    try {
+      values = this.channels[channel](r);
+    } catch (err) {
+      return false;
+    }
+
+    return values.some((value) => this.contains(value, needles));
+  },
+
+};
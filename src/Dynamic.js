@@ -0,0 +1,299 @@
+import fs from 'fs';
+import { extname } from 'path';
+import XMLWriter from 'xml-writer';
+
+import Export from './Export.js';
+import Wdg from './Wdg.js';
+
+/**
+ * @constant
+ * @type {Object}
+ * @desc The duration of the supported time windows in milliseconds.
+ */
+const durations = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * A function to check whether an attribute value can be written.
+ * @param {any} value An attribute value of a node or an edge.
+ * @returns {Boolean} Returns ``false`` in case the value is empty.
+ */
+const isDefined = (value) => !(value === undefined || value === null || Number.isNaN(value));
+
+/**
+ * A function to create the label of a window, which is used in the file names of snapshots.
+ * Time windows are labeled with their start (``YYYY-MM-DD`` or ``YYYY-MM-DDTHH`` in UTC),
+ * request windows with their zero-padded index.
+ * @param {Object} window The window definition (see {@link module:Dynamic.window|``Dynamic.window()``}).
+ * @param {Object} slice A window of the dynamic graph.
+ * @param {Number} idx The index of the window.
+ * @param {Number} total The number of windows.
+ * @returns {String} The label of the window.
+ */
+const label = (window, slice, idx, total) => {
+  if (window.unit === 'requests') {
+    return String(idx).padStart(String(total - 1).length, '0');
+  }
+
+  return new Date(slice.start)
+    .toISOString()
+    .slice(0, (window.unit === 'hour') ? 13 : 10);
+};
+
+/**
+ * A module to generate dynamic t.ex-graph, i.e., one graph per time window.
+ * Requests are assigned to a window by their ``timeStamp`` (``hour`` or ``day``, aligned to UTC)
+ * or by their position in the input files (every ``N`` requests).
+ * The node attributes (and centrality metrics) are computed per window.
+ * The windows are written either as a single dynamic GEXF file with node and edge spells
+ * or as a series of snapshot graphs.
+ * @module Dynamic
+ */
+export default {
+
+  /**
+   * A function to check the options of the command dynamic.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {String} Returns an error message in case the options are invalid.
+   * Returns ``undefined`` otherwise.
+   */
+  validate(options) {
+    if (!this.window(options)) {
+      return 'invalid window ' + options.window + ' (expected hour, day, or a positive number of requests)';
+    }
+
+    if (!options.snapshots && options.format !== 'gexf') {
+      return 'dynamic graphs can only be written as gexf (use --snapshots for other formats)';
+    }
+  },
+
+  /**
+   * A function to parse option ``window``.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {Object} Returns the window definition in the format
+   * ``{ unit: 'hour' | 'day' | 'requests', size }``, where ``size`` is either
+   * a duration in milliseconds or a number of requests.
+   * Returns ``undefined`` in case the option is invalid.
+   */
+  window(options) {
+    let window = String(options.window);
+
+    if (durations[window]) {
+      return { unit: window, size: durations[window] };
+    }
+
+    if (/^[0-9]+$/.test(window) && Number(window) > 0) {
+      return { unit: 'requests', size: Number(window) };
+    }
+  },
+
+  /**
+   * A function to create a windowed graph instance. It provides the same methods
+   * ``process(r, options)``, ``discarded()`` and ``attributes(options)`` as {@link Wdg|``Wdg``},
+   * but distributes the requests to one {@link Wdg|``Wdg``} per window.
+   * Requests without a numeric ``timeStamp`` are skipped in case of time windows.
+   * @param {Object} features The feature objects used to compute edge and node attributes.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {Object} The windowed graph instance.
+   */
+  graph(features, options) {
+    let window = this.window(options);
+    let windows = new Map();
+    let requests = 0;
+    let skipped = 0;
+
+    return {
+
+      process(r, opts) {
+        let key;
+        if (window.unit === 'requests') {
+          key = Math.floor(requests / window.size);
+          requests += 1;
+        } else if (typeof r.timeStamp === 'number' && Number.isFinite(r.timeStamp)) {
+          key = Math.floor(r.timeStamp / window.size);
+        } else {
+          skipped += 1;
+          return;
+        }
+
+        if (!windows.has(key)) {
+          windows.set(key, new Wdg(features, options));
+        }
+
+        windows.get(key).process(r, opts);
+      },
+
+      discarded() {
+        return [...windows.values()]
+          .map((graph) => graph.discarded())
+          .reduce((acc, val) => {
+            Object
+              .entries(val)
+              .forEach(([reason, count]) => acc[reason] = (acc[reason] || 0) + count);
+            return acc;
+          }, {});
+      },
+
+      async attributes(opts) {
+        if (skipped > 0) {
+          console.error('Warning: ' + skipped + ' request(s) without timeStamp skipped');
+        }
+
+        let slices = [];
+        let keys = [...windows.keys()].sort((a, b) => a - b);
+
+        for (let key of keys) {
+          slices.push({
+            start: key * window.size,
+            end: (key + 1) * window.size,
+            graph: await windows.get(key).attributes(opts),
+          });
+        }
+
+        return slices;
+      },
+
+    };
+  },
+
+  /**
+   * A function to serialize the windows as dynamic GEXF.
+   * Each node and edge has one spell per window it occurs in, and each attribute value
+   * is valid for the window it was computed for. Spells are half-open intervals
+   * (``start`` inclusive, ``endopen`` exclusive). The time format is ``dateTime``
+   * for time windows and ``integer`` (the index of the first request) for request windows.
+   * @param {Array} slices The windows created by the windowed graph instance.
+   * @param {Object} window The window definition (see {@link module:Dynamic.window|``Dynamic.window()``}).
+   * @returns {String} The dynamic GEXF as string.
+   */
+  gexf(slices, window) {
+    let graphs = slices.map((slice) => slice.graph);
+    let nodeSchema = Export.schema(graphs, 'node');
+    let edgeSchema = Export.schema(graphs, 'edge');
+    let time = (value) => (window.unit === 'requests')
+      ? String(value)
+      : new Date(value).toISOString();
+
+    let nodes = new Map();
+    let edges = new Map();
+    slices.forEach((slice) => {
+      slice.graph.forEachNode((node, attrs) => {
+        if (!nodes.has(node)) {
+          nodes.set(node, []);
+        }
+        nodes.get(node).push({ slice, attrs });
+      });
+
+      slice.graph.forEachEdge((edge, attrs, source, target) => {
+        if (!edges.has(edge)) {
+          edges.set(edge, { source, target, spells: [] });
+        }
+        edges.get(edge).spells.push({ slice, attrs });
+      });
+    });
+
+    let writer = new XMLWriter('  ');
+    writer.startDocument('1.0', 'UTF-8');
+    writer.startElement('gexf');
+    writer.writeAttribute('xmlns', 'http://www.gexf.net/1.2draft');
+    writer.writeAttribute('version', '1.2');
+
+    writer.startElement('graph');
+    writer.writeAttribute('defaultedgetype', 'directed');
+    writer.writeAttribute('mode', 'dynamic');
+    writer.writeAttribute('timeformat', (window.unit === 'requests') ? 'integer' : 'dateTime');
+
+    Export.gexfAttributes(writer, 'node', nodeSchema, 'dynamic');
+    Export.gexfAttributes(writer, 'edge', edgeSchema, 'dynamic');
+
+    let interval = (slice) => {
+      writer.writeAttribute('start', time(slice.start));
+      writer.writeAttribute('endopen', time(slice.end));
+    };
+
+    let element = (schema, spells) => {
+      writer.startElement('attvalues');
+      spells.forEach(({ slice, attrs }) =>
+        schema
+          .filter((attr) => isDefined(attrs[attr.name]))
+          .forEach((attr) => {
+            writer.startElement('attvalue');
+            writer.writeAttribute('for', attr.name);
+            Export.gexfValue(writer, attrs[attr.name]);
+            interval(slice);
+            writer.endElement();
+          })
+      );
+      writer.endElement();
+
+      writer.startElement('spells');
+      spells.forEach(({ slice }) => {
+        writer.startElement('spell');
+        interval(slice);
+        writer.endElement();
+      });
+      writer.endElement();
+    };
+
+    writer.startElement('nodes');
+    nodes.forEach((spells, node) => {
+      writer.startElement('node');
+      writer.writeAttribute('id', node);
+      writer.writeAttribute('label', node);
+      element(nodeSchema, spells);
+      writer.endElement();
+    });
+    writer.endElement();
+
+    writer.startElement('edges');
+    edges.forEach(({ source, target, spells }, edge) => {
+      writer.startElement('edge');
+      writer.writeAttribute('id', edge);
+      writer.writeAttribute('source', source);
+      writer.writeAttribute('target', target);
+      element(edgeSchema, spells);
+      writer.endElement();
+    });
+    writer.endElement();
+
+    writer.endElement();
+    writer.endElement();
+    writer.endDocument();
+
+    return writer.toString();
+  },
+
+  /**
+   * A function to write the windows. In case option ``snapshots`` is set, each window is written
+   * as a separate graph in the format selected with option ``format``
+   * (see {@link module:Export.write|``Export.write()``}), e.g., ``output.2022-08-12.gexf``.
+   * Otherwise, a single dynamic GEXF file is written
+   * (see {@link module:Dynamic.gexf|``Dynamic.gexf()``}).
+   * @param {Array} slices The windows created by the windowed graph instance.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   */
+  write(slices, options) {
+    let window = this.window(options);
+    let output = Export.output(options);
+
+    if (!options.snapshots) {
+      fs.writeFileSync(output, this.gexf(slices, window));
+      return;
+    }
+
+    let extension = extname(output);
+    let base = output.slice(0, output.length - extension.length);
+
+    slices.forEach((slice, idx) =>
+      Export.write(slice.graph, {
+        ...options,
+        output: base + '.' + label(window, slice, idx, slices.length) + extension,
+      })
+    );
+  },
+
+};
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import pkg from 'tldjs';
+const { getDomain } = pkg;
+
+/**
+ * @constant
+ * @type {Map}
+ * @desc The entity maps loaded so far, keyed by the path of their file.
+ */
+const cache = new Map();
+
+/**
+ * A function to normalize a domain of an entity map, e.g., ``*.Example.com`` to ``example.com``.
+ * @param {String} domain A domain of an entity map.
+ * @returns {String} The normalized domain.
+ */
+const normalize = (domain) => String(domain)
+  .trim()
+  .toLowerCase()
+  .replace(/^\*?\./, '');
+
+/**
+ * A function to determine the entities and their domains of a parsed entity map.
+ * The following formats are supported:
+ * - An object of domain arrays keyed by the name of the entity, e.g., ``{ "Google": ["google.com", "doubleclick.net"] }``.
+ * - The entities of the DuckDuckGo Tracker Radar, i.e., a single entity file, an array of entities,
+ *   or an object of entities keyed by their name (``entity_map.json``). The domains of an entity are its
+ *   ``properties`` and ``resources``. The ``displayName`` is used as name of the entity, if available.
+ * - The domain map of the DuckDuckGo Tracker Radar (``domain_map.json``), i.e., an object of
+ *   ``{ entityName, displayName }`` keyed by the domain.
+ * @param {Object} json The parsed entity map.
+ * @returns {Array} Returns the entities in the format ``[ [ name, [ domain, ... ] ], ... ]``.
+ * Returns ``undefined`` in case the format is not supported.
+ */
+const entities = (json) => {
+  let isEntity = (value) => value && typeof value === 'object' &&
+    (Array.isArray(value.properties) || Array.isArray(value.resources));
+  let domains = (entity) => [...(entity.properties || []), ...(entity.resources || [])];
+
+  if (Array.isArray(json)) {
+    return (json.every(isEntity))
+      ? json.map((entity) => [entity.displayName || entity.name, domains(entity)])
+      : undefined;
+  }
+
+  if (!json || typeof json !== 'object') {
+    return undefined;
+  }
+
+  if (isEntity(json)) {
+    return [[json.displayName || json.name, domains(json)]];
+  }
+
+  let values = Object.values(json);
+  if (values.every(Array.isArray)) {
+    return Object.entries(json);
+  } else if (values.every(isEntity)) {
+    return Object
+      .entries(json)
+      .map(([name, entity]) => [entity.displayName || name, domains(entity)]);
+  } else if (values.every((value) => value && typeof value === 'object' && value.entityName)) {
+    return Object
+      .entries(json)
+      .map(([domain, value]) => [value.displayName || value.entityName, [domain]]);
+  }
+};
+
+/**
+ * A module to map domains to the organizations owning them (entities) with a local entity map
+ * (option ``entity``), e.g., ``doubleclick.net`` and ``google-analytics.com`` to ``Google``.
+ * The graph is then built at organization level (see {@link Wdg~nodes|``nodes()``}).
+ * @module Entities
+ */
+export default {
+
+  /**
+   * A function to load an entity map. Entity maps are loaded once per file and cached,
+   * since they are used for each request (see {@link module:Entities.lookup|``Entities.lookup()``}).
+   * @param {String} file Path to the entity map in one of the supported formats
+   * (see {@link module:Entities~entities|``entities()``}).
+   * @returns {Map} Returns the names of the entities keyed by their (normalized) domains.
+   * In case a domain belongs to several entities, the first entity is used.
+   * Throws an error in case the file does not exist or its format is not supported.
+   */
+  load(file) {
+    if (cache.has(file)) {
+      return cache.get(file);
+    }
+
+    if (!fs.existsSync(file)) {
+      throw new Error('entity map not found at ' + file);
+    }
+
+    let list;
+    try {
+      list = entities(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    } catch (err) {
+      throw new Error('entity map ' + file + ' cannot be read (' + err.message + ')');
+    }
+
+    if (!list || list.some(([name, domains]) => !name || !Array.isArray(domains))) {
+      throw new Error('entity map ' + file + ' has an unsupported format');
+    }
+
+    let map = new Map();
+    list.forEach(([name, domains]) =>
+      domains
+        .map(normalize)
+        .filter((domain) => domain && !map.has(domain))
+        .forEach((domain) => map.set(domain, String(name)))
+    );
+
+    cache.set(file, map);
+    return map;
+  },
+
+  /**
+   * A function to look up the entity of a hostname. The hostname and its parent domains
+   * are looked up in order, e.g., ``stats.g.doubleclick.net``, ``g.doubleclick.net``, and ``doubleclick.net``.
+   * @param {Map} map An entity map created with {@link module:Entities.load|``Entities.load()``}.
+   * @param {String} hostname The hostname of a URL.
+   * @returns {String} Returns the name of the entity. Returns ``undefined`` in case the hostname is not mapped.
+   */
+  lookup(map, hostname) {
+    let labels = String(hostname).toLowerCase().split('.');
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      let entity = map.get(labels.slice(i).join('.'));
+      if (entity) {
+        return entity;
+      }
+    }
+  },
+
+  /**
+   * A function to determine the owner of a hostname, i.e., its SLD using
+   * {@link https://www.npmjs.com/package/tldjs|``tldjs``} or, in case option ``entity`` is set,
+   * the organization it belongs to (see {@link module:Entities.lookup|``Entities.lookup()``}).
+   * Hostnames that are not mapped to an organization fall back to their SLD.
+   * Hosts with the same owner are first-parties of each other.
+   * @param {String} hostname The hostname of a URL.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {String} The owner of the hostname.
+   */
+  owner(hostname, options = {}) {
+    return (options.entity && this.lookup(this.load(options.entity), hostname)) || getDomain(hostname);
+  },
+
+};
@@ -0,0 +1,515 @@
+import fs from 'fs';
+import { join } from 'path';
+import XMLWriter from 'xml-writer';
+
+import Layout from './Layout.js';
+import Schema from './Schema.js';
+
+/**
+ * A function to detect the type of an attribute value.
+ * @param {any} value An attribute value of a node or an edge.
+ * @returns {String} Returns ``integer``, ``double``, ``boolean``, ``liststring``, ``string``
+ * or ``undefined`` in case the value is empty.
+ */
+const detectType = (value) => {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return undefined;
+  } else if (Array.isArray(value)) {
+    return 'liststring';
+  } else if (typeof value === 'boolean') {
+    return 'boolean';
+  } else if (typeof value === 'number') {
+    return (Number.isInteger(value)) ? 'integer' : 'double';
+  } else {
+    return 'string';
+  }
+};
+
+/**
+ * A function to merge two detected types of the same attribute.
+ * Integers and doubles are merged to ``double``, any other conflict to ``string``.
+ * @param {String} x The type detected so far.
+ * @param {String} y The type of the current value.
+ * @returns {String} The merged type.
+ */
+const mergeType = (x, y) => {
+  if (!x || x === y) {
+    return y;
+  } else if (!y) {
+    return x;
+  } else if ([x, y].every((t) => t === 'integer' || t === 'double')) {
+    return 'double';
+  } else {
+    return 'string';
+  }
+};
+
+/**
+ * A function to create the attribute schema of all nodes or edges of a graph instance.
+ * The attributes declared by the features (see {@link module:Schema.declared|``Schema.declared()``})
+ * are listed first with their declared type, default value and title.
+ * The types of all other attributes (e.g., of custom features without metadata) are inferred
+ * from their values and listed in the order of their first occurrence.
+ * @param {Object|Array} graph A graph generated with ``graphology``, or an array of graphs
+ * in case a common schema is required (e.g., for the windows of a dynamic graph).
+ * @param {String} type Either ``node`` or ``edge``.
+ * @returns {Array} Returns the schema in the format:
+ * ```json
+ * [ { name: "count", type: "integer", default: 0, title: "Number of requests" }, ... ]
+ * ```
+ */
+const schema = (graph, type) => {
+  let declared = Schema.declared([].concat(graph)[0], type) || [];
+  let names = new Set(declared.map((attr) => attr.name));
+  let attributes = new Map();
+
+  [].concat(graph).forEach((g) => {
+    let iterate = (type === 'node')
+      ? g.forEachNode.bind(g)
+      : g.forEachEdge.bind(g);
+
+    iterate((key, attrs) =>
+      Object
+        .keys(attrs)
+        .forEach((name) =>
+          attributes.set(name, mergeType(attributes.get(name), detectType(attrs[name])))
+        )
+    );
+  });
+
+  return [
+    ...declared,
+    ...[...attributes.entries()]
+      .filter(([name]) => !names.has(name))
+      .map(([name, type]) => ({ name, type: type || 'string', default: undefined, title: name })),
+  ];
+};
+
+/**
+ * A function to convert an attribute value to a string.
+ * Arrays (e.g., the edge attributes of features counting distinct values) are joined with ``|``
+ * like the GEXF type ``liststring``.
+ * @param {any} value An attribute value of a node or an edge.
+ * @returns {String} The value as string.
+ */
+const stringify = (value) => (Array.isArray(value))
+  ? value.join('|')
+  : String(value);
+
+/**
+ * @constant
+ * @type {Array}
+ * @desc The node attributes written as ``viz:position``, ``viz:size`` and ``viz:color`` in GEXF
+ *       (see {@link module:Layout|``Layout``}).
+ */
+const viz = ['x', 'y', 'size', 'color'];
+
+/**
+ * A function to convert a CSS color (``rgb(r,g,b)`` or ``#rrggbb``) to its channels.
+ * @param {String} color A CSS color.
+ * @returns {Array} Returns the channels ``[r, g, b]``, or ``undefined`` in case the color is not supported.
+ */
+const rgb = (color) => {
+  let hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+  let values = /^rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(color);
+
+  if (hex) {
+    return hex.slice(1).map((channel) => parseInt(channel, 16));
+  } else if (values) {
+    return values.slice(1).map(Number);
+  }
+};
+
+/**
+ * A function to write the ``value`` of an ``attvalue`` element to GEXF. The value is required by GEXF,
+ * hence empty values (e.g., empty lists) are written as ``value=""`` instead of being dropped by the writer.
+ * @param {XMLWriter} writer The writer of the GEXF document.
+ * @param {any} value The value of the attribute.
+ */
+const gexfValue = (writer, value) => writer
+  .startAttribute('value')
+  .text(stringify(value))
+  .endAttribute();
+
+/**
+ * A function to write the attribute model of the nodes or edges to GEXF,
+ * including the declared titles and default values.
+ * @param {XMLWriter} writer The writer of the GEXF document.
+ * @param {String} type Either ``node`` or ``edge``.
+ * @param {Array} schema The attribute schema (see {@link module:Export~schema|``schema()``}).
+ * @param {String} mode The mode of the attributes, i.e., ``static`` or ``dynamic``. Defaults to ``static``.
+ */
+const gexfAttributes = (writer, type, schema, mode = 'static') => {
+  writer.startElement('attributes');
+  writer.writeAttribute('class', type);
+  writer.writeAttribute('mode', mode);
+  schema.forEach((attr) => {
+    writer.startElement('attribute');
+    writer.writeAttribute('id', attr.name);
+    writer.writeAttribute('title', attr.title || attr.name);
+    writer.writeAttribute('type', attr.type);
+    if (detectType(attr.default)) {
+      writer.startElement('default');
+      writer.text(stringify(attr.default));
+      writer.endElement();
+    }
+    writer.endElement();
+  });
+  writer.endElement();
+};
+
+/**
+ * A function to escape a value for a CSV cell (RFC 4180).
+ * @param {any} value The value of the cell.
+ * @returns {String} The escaped value.
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let cell = stringify(value);
+  return (/[",\r\n]/.test(cell))
+    ? '"' + cell.replace(/"/g, '""') + '"'
+    : cell;
+};
+
+/**
+ * A function to create a CSV table.
+ * @param {Array} columns The names of the columns.
+ * @param {Array} rows An array of rows, each an array of values in the order of ``columns``.
+ * @returns {String} The CSV table as string.
+ */
+const csvTable = (columns, rows) =>
+  [columns, ...rows]
+    .map((row) => row.map(csvCell).join(','))
+    .join('\n') + '\n';
+
+/**
+ * A module to export a graph instance to different file formats.
+ * All formats share the same attribute schema (see {@link module:Export.schema|``Export.schema()``}).
+ * @module Export
+ */
+export default {
+
+  /**
+   * @desc An object containing all supported output formats.
+   * Each format consists of the default file ``extension``
+   * and a function ``write(graph, output)`` that writes the graph to ``output``.
+   * Formats written to a single file also provide a function ``serialize(graph)``
+   * that returns the graph as string.
+   */
+  formats: {
+
+    /**
+     * GEXF 1.2 with the explicit attribute schema (see {@link module:Export~schema|``schema()``}).
+     * The layout of the nodes is written in the ``viz`` namespace.
+     */
+    gexf: {
+      extension: '.gexf',
+      write: function(graph, output) {
+        fs.writeFileSync(output, this.serialize(graph));
+      },
+      serialize: (graph) => {
+        let nodeSchema = schema(graph, 'node').filter((attr) => !viz.includes(attr.name));
+        let edgeSchema = schema(graph, 'edge');
+
+        let writer = new XMLWriter('  ');
+        writer.startDocument('1.0', 'UTF-8');
+        writer.startElement('gexf');
+        writer.writeAttribute('xmlns', 'http://www.gexf.net/1.2draft');
+        writer.writeAttribute('xmlns:viz', 'http://www.gexf.net/1.2draft/viz');
+        writer.writeAttribute('version', '1.2');
+
+        writer.startElement('graph');
+        writer.writeAttribute('defaultedgetype', 'directed');
+        writer.writeAttribute('mode', 'static');
+        gexfAttributes(writer, 'node', nodeSchema);
+        gexfAttributes(writer, 'edge', edgeSchema);
+
+        let attvalues = (schema, attrs) => {
+          writer.startElement('attvalues');
+          schema
+            .filter((attr) => detectType(attrs[attr.name]))
+            .forEach((attr) => {
+              writer.startElement('attvalue');
+              writer.writeAttribute('for', attr.name);
+              gexfValue(writer, attrs[attr.name]);
+              writer.endElement();
+            });
+          writer.endElement();
+        };
+
+        writer.startElement('nodes');
+        graph.forEachNode((node, attrs) => {
+          writer.startElement('node');
+          writer.writeAttribute('id', node);
+          writer.writeAttribute('label', node);
+          attvalues(nodeSchema, attrs);
+
+          let color = rgb(attrs.color);
+          if (color) {
+            writer.startElement('viz:color');
+            ['r', 'g', 'b'].forEach((channel, idx) => writer.writeAttribute(channel, String(color[idx])));
+            writer.endElement();
+          }
+          if (typeof attrs.size === 'number') {
+            writer.startElement('viz:size');
+            writer.writeAttribute('value', String(attrs.size));
+            writer.endElement();
+          }
+          if (typeof attrs.x === 'number' && typeof attrs.y === 'number') {
+            writer.startElement('viz:position');
+            writer.writeAttribute('x', String(attrs.x));
+            writer.writeAttribute('y', String(attrs.y));
+            writer.endElement();
+          }
+          writer.endElement();
+        });
+        writer.endElement();
+
+        writer.startElement('edges');
+        graph.forEachEdge((edge, attrs, source, target) => {
+          writer.startElement('edge');
+          writer.writeAttribute('id', edge);
+          writer.writeAttribute('source', source);
+          writer.writeAttribute('target', target);
+          attvalues(edgeSchema, attrs);
+          writer.endElement();
+        });
+        writer.endElement();
+
+        writer.endElement();
+        writer.endElement();
+        writer.endDocument();
+
+        return writer.toString();
+      }
+    },
+
+    /**
+     * GraphML with one ``<key>`` per node and edge attribute, including the title as ``<desc>``
+     * and the default value.
+     */
+    graphml: {
+      extension: '.graphml',
+      write: function(graph, output) {
+        fs.writeFileSync(output, this.serialize(graph));
+      },
+      serialize: (graph) => {
+        let types = { integer: 'int', double: 'double', boolean: 'boolean', string: 'string', liststring: 'string' };
+        let nodeSchema = schema(graph, 'node');
+        let edgeSchema = schema(graph, 'edge');
+        let id = (type, name) => type.charAt(0) + '_' + name;
+
+        let writer = new XMLWriter('  ');
+        writer.startDocument('1.0', 'UTF-8');
+        writer.startElement('graphml');
+        writer.writeAttribute('xmlns', 'http://graphml.graphdrawing.org/xmlns');
+
+        [['node', nodeSchema], ['edge', edgeSchema]]
+          .forEach(([type, schema]) =>
+            schema.forEach((attr) => {
+              writer.startElement('key');
+              writer.writeAttribute('id', id(type, attr.name));
+              writer.writeAttribute('for', type);
+              writer.writeAttribute('attr.name', attr.name);
+              writer.writeAttribute('attr.type', types[attr.type]);
+              if (attr.title && attr.title !== attr.name) {
+                writer.startElement('desc');
+                writer.text(attr.title);
+                writer.endElement();
+              }
+              if (detectType(attr.default)) {
+                writer.startElement('default');
+                writer.text(stringify(attr.default));
+                writer.endElement();
+              }
+              writer.endElement();
+            })
+          );
+
+        let data = (type, schema, attrs) =>
+          schema
+            .filter((attr) => detectType(attrs[attr.name]))
+            .forEach((attr) => {
+              writer.startElement('data');
+              writer.writeAttribute('key', id(type, attr.name));
+              writer.text(stringify(attrs[attr.name]));
+              writer.endElement();
+            });
+
+        writer.startElement('graph');
+        writer.writeAttribute('edgedefault', 'directed');
+
+        graph.forEachNode((node, attrs) => {
+          writer.startElement('node');
+          writer.writeAttribute('id', node);
+          data('node', nodeSchema, attrs);
+          writer.endElement();
+        });
+
+        graph.forEachEdge((edge, attrs, source, target) => {
+          writer.startElement('edge');
+          writer.writeAttribute('id', edge);
+          writer.writeAttribute('source', source);
+          writer.writeAttribute('target', target);
+          data('edge', edgeSchema, attrs);
+          writer.endElement();
+        });
+
+        writer.endElement();
+        writer.endElement();
+        writer.endDocument();
+
+        return writer.toString();
+      }
+    },
+
+    /**
+     * The native serialization format of ``graphology``.
+     * See {@link https://graphology.github.io/serialization.html} for more details.
+     */
+    json: {
+      extension: '.json',
+      write: function(graph, output) {
+        fs.writeFileSync(output, this.serialize(graph));
+      },
+      serialize: (graph) => JSON.stringify(graph.export())
+    },
+
+    /**
+     * A self-contained HTML file with an interactive viewer of the graph, i.e., a zoomable canvas,
+     * a search by domain, a side panel with the attributes and neighbors of a node,
+     * and filters on node attributes (e.g., ``tracking > 0.5``). The viewer does not load external resources.
+     * In case the nodes have no positions (option ``layout``), a layout is computed for the viewer
+     * (see {@link module:Layout.assign|``Layout.assign()``}) without changing the graph instance.
+     */
+    html: {
+      extension: '.html',
+      write: function(graph, output) {
+        fs.writeFileSync(output, this.serialize(graph));
+      },
+      serialize: (graph) => {
+        let copy = graph.copy();
+        if (!copy.someNode((node, attrs) => attrs.x !== undefined && attrs.y !== undefined)) {
+          Layout.assign(copy, {
+            layoutIterations: 100,
+            sizeBy: 'count',
+            colorBy: (schema(copy, 'node').some((attr) => attr.name === 'tracking')) ? 'tracking' : 'count',
+          });
+        }
+
+        let json = JSON
+          .stringify(copy.export())
+          .replace(/</g, '\\u003c');
+
+        return fs
+          .readFileSync(new URL('./assets/viewer.html', import.meta.url), 'utf-8')
+          .replace('__GRAPH__', () => json);
+      }
+    },
+
+    /**
+     * Two CSV tables ``nodes.csv`` and ``edges.csv`` with one column per attribute.
+     * **NOTE:** ``output`` is a directory, which is created in case it does not exist.
+     */
+    csv: {
+      extension: '',
+      write: (graph, output) => {
+        let nodeSchema = schema(graph, 'node');
+        let edgeSchema = schema(graph, 'edge');
+
+        fs.mkdirSync(output, { recursive: true });
+
+        fs.writeFileSync(
+          join(output, 'nodes.csv'),
+          csvTable(
+            ['id', ...nodeSchema.map((attr) => attr.name)],
+            graph.mapNodes((node, attrs) =>
+              [node, ...nodeSchema.map((attr) => attrs[attr.name])]
+            )
+          )
+        );
+
+        fs.writeFileSync(
+          join(output, 'edges.csv'),
+          csvTable(
+            ['source', 'target', ...edgeSchema.map((attr) => attr.name)],
+            graph.mapEdges((edge, attrs, source, target) =>
+              [source, target, ...edgeSchema.map((attr) => attrs[attr.name])]
+            )
+          )
+        );
+      }
+    },
+
+  },
+
+  /**
+   * @desc A function to create a CSV table.
+   * See {@link module:Export~csvTable|``csvTable()``} for more details.
+   */
+  csv: csvTable,
+
+  /**
+   * @desc A function to convert an attribute value to a string.
+   * See {@link module:Export~stringify|``stringify()``} for more details.
+   */
+  stringify,
+
+  /**
+   * @desc A function to create the attribute schema of all nodes or edges of a graph instance.
+   * See {@link module:Export~schema|``schema()``} for more details.
+   */
+  schema,
+
+  /**
+   * @desc A function to write the attribute model of the nodes or edges to GEXF.
+   * See {@link module:Export~gexfAttributes|``gexfAttributes()``} for more details.
+   */
+  gexfAttributes,
+
+  /**
+   * @desc A function to write the value of an ``attvalue`` element to GEXF.
+   * See {@link module:Export~gexfValue|``gexfValue()``} for more details.
+   */
+  gexfValue,
+
+  /**
+   * A function to determine the output path.
+   * In case no output is specified, ``output`` plus the extension of the format is used.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {String} The output path.
+   */
+  output(options) {
+    return options.output || 'output' + this.formats[options.format || 'gexf'].extension;
+  },
+
+  /**
+   * A function to serialize a graph instance as string.
+   * @param {Object} graph A graph generated with ``graphology``.
+   * @param {String} format The name of the format, i.e., ``gexf``, ``graphml``, ``json`` or ``html``. Defaults to ``gexf``.
+   * @returns {String} The serialized graph.
+   * Throws an error in case the format does not exist or is not written to a single file (``csv``).
+   */
+  serialize(graph, format = 'gexf') {
+    if (!this.formats[format] || !this.formats[format].serialize) {
+      throw new Error('format ' + format + ' cannot be serialized as string');
+    }
+
+    return this.formats[format].serialize(graph);
+  },
+
+  /**
+   * A function to write a graph instance in the format selected with option ``format``.
+   * @param {Object} graph A graph generated with ``graphology``.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   */
+  write(graph, options) {
+    let format = this.formats[options.format || 'gexf'];
+    format.write(graph, this.output(options));
+  },
+
+};
@@ -1,5 +1,7 @@
 import fs from 'fs';
 import Util from "./Util.js";
+import Disclosure from "./Disclosure.js";
+import Identifiers from "./Identifiers.js";
 import pkg from 'tldjs';
 const { getDomain } = pkg;
 
@@ -8,9 +10,11 @@ const { getDomain } = pkg;
  * @desc A module to implement functions to extract features from the
  *       stream of HTTP/S requests and responses.
  *       This module returns an object containing all features that are
- *       extracted in {@link Wdg.addEdge|``Wdg.addEdge()``}.
- *       A feature itself is an object consisting of three properties:
- *       ``extract``, ``accumulate`` (optional), and ``set``. 
+ *       extracted in {@link Wdg.process|``Wdg.process()``}.
+ *       A feature itself is an object consisting of the functions
+ *       ``extract``, ``accumulate`` (optional), ``init`` (optional), and ``set``,
+ *       and the metadata ``type``, ``default``, ``description`` and ``accumulator`` (optional)
+ *       used for the attribute schema of the exporters (see {@link module:Schema|``Schema``}). 
  *       **NOTE:** The key of this object will be used as the name 
  *       of the feature.
  *       Its properties have to implement functions, which are
@@ -18,6 +22,9 @@ const { getDomain } = pkg;
  *       See below an example for a feature object:
  * 
  *       tracking: {
+ *        'type': 'double',
+ *        'default': 0,
+ *        'description': 'Ratio of tracking requests',
  *        'extract': (r, acc) => {
  *          let isTracking = r.labels
  *            .reduce((acc, val) =>
@@ -36,15 +43,28 @@ const { getDomain } = pkg;
  
 /**
  * @name extract
- * @desc ``extract()``is called for each HTTP/S request in {@link Wdg.addEdge|``Wdg.addEdge()``}.
+ * @desc ``extract()``is called for each HTTP/S request in {@link Wdg.process|``Wdg.process()``}.
  * @function
  * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface. 
  * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
  * for more details.
- * @param {Number} acc In case the edge is created 0 will be passed as ``acc``.
- * In case the edge already exists, the current value of the edge attribute
- * is passed as ``acc`` (i.e., the result of the previous ``extract()`` call).
- * @returns {Number} The new value of the edge attribute.
+ * @param {Number} acc 0 (or the result of ``init()``). The result is combined with the current
+ * value of the edge attribute using ``accumulate()`` (or summed, in case ``accumulate()`` is not defined),
+ * so that the edge attributes are computed before the graph is changed.
+ * @returns {Number} The value of the edge attribute for ``r``.
+ */
+
+/**
+ * @name init
+ * @desc ``init()`` is called to create the initial accumulator value, i.e., the ``acc``
+ * passed to ``extract()`` for a new edge and to ``accumulate()`` for each node.
+ * The property is optional. In case it is ``undefined``, 0 is used.
+ * It allows non-numeric accumulators, e.g., a set of distinct values
+ * (see {@link module:Features~distinct|``distinct()``}). Such features have to implement
+ * ``accumulate()`` as well and their edge attributes have to be serializable as JSON
+ * or be a ``Set``, which is converted to an array once the node attributes are computed.
+ * @function
+ * @returns {any} The initial accumulator value.
  */
 
 /**
@@ -65,10 +85,47 @@ const { getDomain } = pkg;
  * based on the accumulated edge attributes.
  * @function
  * @param {String} feature The name of the feature.
- * @param {Object} attrs The accumulated edge attributes including the indegree of the node.
+ * @param {Object} attrs The accumulated edge attributes including the indegree of the node
+ * and the number of nodes it shares identifiers with (``partners``).
  * @returns {Number} The final value for ``feature``.
  */
 
+/**
+ * @name type
+ * @desc The type of the node attribute, i.e., ``integer``, ``double``, ``boolean``, ``string`` or ``liststring``
+ * (see {@link module:Schema.types|``Schema.types``}).
+ * The property is optional. In case it is ``undefined``, the type is inferred from the values.
+ * @type {String}
+ */
+
+/**
+ * @name default
+ * @desc The default value of the node attribute, i.e., the value of a node without requests.
+ * @type {any}
+ */
+
+/**
+ * @name description
+ * @desc A short human-readable description of the node attribute, which is used as its title.
+ * @type {String}
+ */
+
+/**
+ * @name requires
+ * @desc The names of the features whose accumulated edge attributes are used in ``set()``,
+ * e.g., the divisor of a ratio. The property is optional. Required features are added to the selection
+ * of option ``onlyFeatures`` and cannot be excluded (see {@link module:Plugins|``Plugins``}).
+ * @type {Array}
+ */
+
+/**
+ * @name accumulator
+ * @desc The type of the edge attribute (i.e., the accumulator).
+ * The property is optional. In case it is ``undefined``, ``liststring`` is used for features
+ * implementing ``init()`` and ``integer`` otherwise.
+ * @type {String}
+ */
+
 /**
  * @constant
  * @type {Array}
@@ -77,7 +134,7 @@ const { getDomain } = pkg;
  *       See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#type-ResourceType}
  *       for more details.
  */
-const requestTypes = JSON.parse(fs.readFileSync('src/assets/request.types.json'));
+const requestTypes = JSON.parse(fs.readFileSync(new URL('./assets/request.types.json', import.meta.url)));
 
 /**
  * @constant
@@ -87,7 +144,7 @@ const requestTypes = JSON.parse(fs.readFileSync('src/assets/request.types.json')
  *       See {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Methods}
  *       for more details.
  */
-const requestMethods = JSON.parse(fs.readFileSync('src/assets/request.methods.json'));
+const requestMethods = JSON.parse(fs.readFileSync(new URL('./assets/request.methods.json', import.meta.url)));
 
 /**
  * @constant
@@ -118,18 +175,58 @@ const values = {
     source: requestTypes,
     extract: (r) => r.type,
     condition: stringComparison,
-    divisor: 'count'
+    divisor: 'count',
+    description: (type) => 'Ratio of requests of type ' + type
   },
 
   method: {
     source: requestMethods,
     extract: (r) => r.method,
     condition: stringComparison,
-    divisor: 'count'
+    divisor: 'count',
+    description: (method) => 'Ratio of requests with method ' + method
   }
 
 };
 
+/**
+ * A function to convert an accumulator of distinct values to a ``Set``.
+ * Accumulators read from exported graphs (e.g., with ``--append-to`` or ``merge``) are arrays.
+ * @param {Set|Array} values The distinct values.
+ * @returns {Set} The distinct values as ``Set``.
+ */
+const toSet = (values) => (values instanceof Set) ? values : new Set(values);
+
+/**
+ * A function to generate a feature object that counts the distinct values
+ * of a request property per node. The edge attributes are sets of the distinct values,
+ * which are merged in place for each node before their number is set as node attribute.
+ * The sets are converted to arrays once the node attributes are computed
+ * (see {@link Wdg.attributes|``Wdg.attributes()``}).
+ * @param {Function} value A function that receives the HTTP/S request and returns the value
+ * to be counted. Requests for which ``undefined`` or ``null`` is returned are ignored.
+ * @param {Function} set Optional function which receives the number of distinct values
+ * and the accumulated edge attributes, and returns the node attribute.
+ * @returns Object
+ */
+const distinct = (value, set = (size) => size) => ({
+  'init': () => new Set(),
+  'extract': (r, acc) => {
+    let v = value(r);
+    acc = toSet(acc);
+    if (v !== undefined && v !== null) {
+      acc.add(String(v));
+    }
+    return acc;
+  },
+  'accumulate': (x, y) => {
+    x = toSet(x);
+    y.forEach((v) => x.add(v));
+    return x;
+  },
+  'set': (feature, attrs) => set(attrs[feature].size, attrs)
+});
+
 /**
  * A function to generate feature objects.
  * Used to generate the feature objects for each
@@ -142,6 +239,9 @@ let generate = (value) => {
     .source
     .reduce((acc, val) => {
       acc[val] = {
+        'type': 'double',
+        'default': 0,
+        'description': value.description(val),
         'extract': (r, accu) => {
           let feature = value.extract(r);
           return Util.count(value.condition(feature, val), accu);
@@ -155,6 +255,85 @@ let generate = (value) => {
     }, {})
 };
 
+/**
+ * @constant
+ * @type {Object}
+ * @desc A helper object to generate the tracking feature of a blocklist
+ *       in the same way as the features of request types and methods.
+ *       A request counts for the feature of a blocklist in case
+ *       its ``labels`` contain a match of that blocklist.
+ */
+const labels = {
+  extract: (r) => r.labels || [],
+  condition: (labels, name) => labels
+    .some((label) => label.isLabeled && blocklists.name(label.blocklist) === name),
+  divisor: 'count',
+  description: (name) => 'Ratio of requests labeled by ' + name.slice('tracking'.length)
+};
+
+/**
+ * @desc Helper functions for the tracking features of blocklists.
+ *       The blocklists of a data set are not known in advance, thus, their features
+ *       are generated when a blocklist is found in the ``labels`` of a request
+ *       (see {@link Wdg.register|``Wdg.register()``}).
+ *       For each blocklist we compute the total number of requests labeled by that
+ *       blocklist and divide it by the total number of requests to that node.
+ */
+export const blocklists = {
+
+  /**
+   * A function to create the name of the tracking feature of a blocklist.
+   * @param {String} blocklist The name of a blocklist, e.g., ``EasyList``.
+   * @returns {String} The name of the feature, e.g., ``trackingEasyList``.
+   * Characters other than letters and digits are removed.
+   */
+  name: (blocklist) => 'tracking' + String(blocklist).replace(/[^A-Za-z0-9]/g, ''),
+
+  /**
+   * A function to check whether a feature name is the name of a tracking feature of a blocklist.
+   * @param {String} name The name of a feature.
+   * @returns {Boolean}
+   */
+  test: (name) => /^tracking[A-Za-z0-9]+$/.test(name),
+
+  /**
+   * A function to generate the tracking feature of a blocklist.
+   * @param {String} name The name of the feature created with ``blocklists.name()``.
+   * @returns {Object} The feature object.
+   */
+  feature: (name) => generate({ ...labels, source: [name] })[name],
+
+};
+
+/**
+ * @desc The feature of option ``entity``, i.e., the distinct domains (SLDs) of the requests to a node.
+ *       In case nodes are organizations (see {@link module:Entities|``Entities``}),
+ *       the node attribute lists the domains of the organization the requests were sent to.
+ *       The feature is only used in case option ``entity`` is set
+ *       (see {@link module:Plugins.load|``Plugins.load()``}).
+ */
+export const entities = {
+
+  /**
+   * @desc The name of the feature.
+   */
+  name: 'entityDomains',
+
+  /**
+   * @desc The feature object.
+   */
+  feature: {
+    ...distinct((r) => {
+      let hostname = new URL(Util.target(r)).hostname;
+      return getDomain(hostname) || hostname;
+    }),
+    'type': 'liststring',
+    'description': 'Domains of the requests to the node',
+    'set': (feature, attrs) => [...attrs[feature]].sort()
+  },
+
+};
+
 export default (() => {
 
   return {
@@ -186,6 +365,9 @@ export default (() => {
      * HTTP/S request count
      */
     count: {
+      'type': 'integer',
+      'default': 0,
+      'description': 'Number of requests',
       'extract': (r, acc) => {
         return acc + 1;
       },
@@ -201,10 +383,14 @@ export default (() => {
      * If one rule matches, the request is labeled as tracking request.      
      * For each node the ratio between tracking requests and all incoming 
      * requests (count) is calculated.
+     * Requests without labels (e.g., imported from HAR files) are counted as non-tracking.
      */
     tracking: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Ratio of tracking requests',
       'extract': (r, acc) => {
-        let isTracking = r.labels
+        let isTracking = (r.labels || [])
           .reduce((acc, val) =>
             acc || val.isLabeled,
             false
@@ -217,15 +403,41 @@ export default (() => {
       }
     },
 
+    /**
+     * @desc Agreement of the blocklists on the requests to the node, i.e., the average ratio
+     * of blocklists that labeled a request as tracking request, among all requests that
+     * were labeled by at least one blocklist.
+     * 1 means all blocklists agree, 0 means no request was labeled.
+     */
+    blocklistAgreement: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Agreement of the blocklists on tracking requests',
+      'accumulator': 'double',
+      'requires': ['tracking'],
+      'extract': (r, acc) => {
+        let labels = r.labels || [];
+        let flagged = labels.filter((label) => label.isLabeled).length;
+        return (flagged > 0)
+          ? acc + flagged / labels.length
+          : acc;
+      },
+      'set': (feature, attrs) => Util.ratio(attrs[feature], attrs.tracking)
+    },
+
     /**
      * @desc First-party is contained in HTTP/S request
      * **NOTE:**
-     * Currently, we only check if the Referer or Origin header is set.
-     * The URL can be contained in the query string or even path (URL- or Base64 encoded).
+     * Here, we only check if the Referer or Origin header is set.
+     * The disclosure in the query string, path, cookies and body is detected
+     * by the features ``firstPartyDisclosed{Channel}`` below.
      * For each node the ratio between requests in which the first-party had been contained
      * and all incoming requests is calculated.
      */
     firstPartyDisclosed: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Ratio of requests disclosing the first party in Referer or Origin',
       'extract': (r, acc) => {
         let referer = Util.header(r.requestHeaders, 'referer');
         let origin = Util.header(r.requestHeaders, 'origin');
@@ -236,13 +448,37 @@ export default (() => {
       }
     },
 
+    /**
+     * @name firstPartyDisclosed{Channel}
+     * @desc For each channel of {@link module:Disclosure.channels|``Disclosure.channels``}
+     * (``Query``, ``Path``, ``Cookie``, ``Body``) we compute the total number of requests
+     * which disclose the first-party hostname or URL in that channel (plain, URL-encoded,
+     * Base64 encoded or hashed) and divide it by the total number of requests to that node.
+     */
+    ...Object
+      .keys(Disclosure.channels)
+      .reduce((acc, channel) => {
+        acc['firstPartyDisclosed' + channel.charAt(0).toUpperCase() + channel.slice(1)] = {
+          'type': 'double',
+          'default': 0,
+          'description': 'Ratio of requests disclosing the first party in the ' + channel,
+          'extract': (r, acc) => Util.count(Disclosure.detect(r, channel), acc),
+          'set': (feature, attrs) => Util.ratio(attrs[feature], attrs.count)
+        };
+
+        return acc;
+      }, {}),
+
     /**
      * @desc Number of cookies set per in-neighbor
      */
     cookiesSet: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Cookies set per in-neighbor',
       'extract': (r, acc) => {
         return Util.count(
-          Util.header(r.response.responseHeaders, 'set-cookie'),
+          Util.header((r.response || {}).responseHeaders, 'set-cookie'),
           acc
         );
       },
@@ -253,13 +489,20 @@ export default (() => {
 
     /**
      * @desc Ratio between third-party-cookies and all cookies 
+     * **NOTE:** Cookies of requests between hosts of the same owner (SLD or organization)
+     * are first-party cookies (see {@link Wdg.process|``Wdg.process()``}).
      */
     thirdPartyCookie: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Ratio of third-party cookies among all cookies set',
+      'requires': ['cookiesSet'],
       'extract': (r, acc) => {
-        let target = getDomain(new URL(Util.target(r)).hostname);
-        let source = getDomain(new URL(Util.source(r)).hostname);
-        let cookieSet = Util.header(r.response.responseHeaders, 'set-cookie');
-        return ((target != source) && cookieSet) ? acc + 1 : acc;
+        let isFirstParty = (r.isFirstParty !== undefined)
+          ? r.isFirstParty
+          : getDomain(new URL(Util.target(r)).hostname) == getDomain(new URL(Util.source(r)).hostname);
+        let cookieSet = Util.header((r.response || {}).responseHeaders, 'set-cookie');
+        return (!isFirstParty && cookieSet) ? acc + 1 : acc;
       },
       'set': (feature, attrs) => {
         return Util.ratio(attrs[feature], attrs.cookiesSet);
@@ -270,6 +513,9 @@ export default (() => {
      * @desc Average URL length
      */
     avgUrlLength: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average URL length',
       'extract': (r, acc) => {
         return acc + Util.target(r).length;
       },
@@ -282,6 +528,9 @@ export default (() => {
      * @desc Average HTTP/S requests per in-neighbors
      */
     avgReqPerNeighbor: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average requests per in-neighbor',
       'extract': (r, acc) => null,
       'set': (feature, attrs) => {
         return Util.ratio(attrs.count, attrs.indegree);
@@ -292,6 +541,9 @@ export default (() => {
      * @desc Average number of query parameters per HTTP/S request
      */
     avgQpPerReq: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average query parameters per request',
       'extract': (r, acc) => {
         return acc + Util.params(r).length;
       },
@@ -300,10 +552,40 @@ export default (() => {
       }
     },
 
+    /**
+     * @desc Average number of query parameters per HTTP/S request whose values are identifier candidates
+     * (see {@link module:Identifiers.isCandidate|``Identifiers.isCandidate()``})
+     */
+    idParamsPerReq: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average identifier query parameters per request',
+      'extract': (r, acc) => acc + Util
+        .params(r)
+        .filter(([name, value]) => Identifiers.isCandidate(value))
+        .length,
+      'set': (feature, attrs) => Util.ratio(attrs[feature], attrs.count)
+    },
+
+    /**
+     * @desc Number of distinct nodes the node shares identifiers with in either direction
+     * (see {@link Wdg.identify|``Wdg.identify()``})
+     */
+    syncPartners: {
+      'type': 'integer',
+      'default': 0,
+      'description': 'Number of nodes sharing identifiers',
+      'extract': (r, acc) => acc,
+      'set': (feature, attrs) => attrs.partners
+    },
+
     /**
      * @desc Average number of query parameters per in-neighbor
      */
     avgQpPerNeighbor: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average query parameters per in-neighbor',
       'extract': (r, acc) => {
         return acc + Util.params(r).length;
       },
@@ -316,8 +598,11 @@ export default (() => {
      * @desc Average number of HTTP/S request headers per in-neighbor
      */
     avgRhPerNeighbor: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average request headers per in-neighbor',
       'extract': (r, acc) => {
-        return acc + r.requestHeaders.length;
+        return acc + (r.requestHeaders || []).length;
       },
       'set': (feature, attrs) => {
         return Util.ratio(attrs[feature], attrs.indegree);
@@ -328,12 +613,11 @@ export default (() => {
      * @desc Average number of HTTP/S response headers per request
      */
     avgRespHPerRq: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average response headers per request',
       'extract': (r, acc) => {
-        if (!r.response.responseHeaders) {
-          r.response.responseHeaders = [];
-        }
-
-        return acc + r.response.responseHeaders.length;
+        return acc + ((r.response || {}).responseHeaders || []).length;
       },
       'set': (feature, attrs) => {
         return Util.ratio(attrs[feature], attrs.count);
@@ -344,12 +628,11 @@ export default (() => {
      * @desc Average number of HTTP/S response headers per in-neighbor
      */
     avgRespHPerNeighbor: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average response headers per in-neighbor',
       'extract': (r, acc) => {
-        if (!r.response.responseHeaders) {
-          r.response.responseHeaders = [];
-        }
-
-        return acc + r.response.responseHeaders.length;
+        return acc + ((r.response || {}).responseHeaders || []).length;
       },
       'set': (feature, attrs) => {
         return Util.ratio(attrs[feature], attrs.indegree);
@@ -360,6 +643,9 @@ export default (() => {
      * @desc Average number of HTTP/S cookies per request
      */
     avgCookieFieldsPerRq: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average cookie fields per request',
       'extract': (r, acc) => {
         return acc + Util.cookie(r).length;
       },
@@ -372,6 +658,9 @@ export default (() => {
      * @desc Average number of HTTP/S cookies per in-neighbor
      */
     avgCookieFieldsPerNeighbor: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average cookie fields per in-neighbor',
       'extract': (r, acc) => {
         return acc + Util.cookie(r).length;
       },
@@ -384,6 +673,9 @@ export default (() => {
      * @desc Maximum subdomain depth
      */
     maxSubdomainDepth: {
+      'type': 'integer',
+      'default': 0,
+      'description': 'Maximum subdomain depth',
       'extract': (r, acc) => {
         let hostname = new URL(Util.target(r)).hostname;
         let sld = getDomain(hostname);
@@ -415,6 +707,9 @@ export default (() => {
      * @desc Average HTTP/S path length
      */
     avgPathLength: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Average URL path length',
       'extract': (r, acc) => {
         let path = new URL(Util.target(r)).pathname;
         return acc + path.length;
@@ -425,18 +720,111 @@ export default (() => {
     },
 
     /**
-     * @desc The length of the hostname
+     * @desc The length of the hostname. In case nodes are organizations (option ``entity``,
+     * see {@link Wdg.process|``Wdg.process()``}), the average length of the requested hostnames (rounded).
      * **NOTE:** dots are included in the length
      */
     hostUrlLength: {
+      'type': 'integer',
+      'default': 0,
+      'description': 'Length of the hostname',
+      'extract': (r, acc) => (r.isEntity)
+        ? acc + new URL(Util.target(r)).hostname.length
+        : null,
+      'set': (feature, attrs) => (attrs[feature] > 0)
+        ? Math.round(Util.ratio(attrs[feature], attrs.count))
+        : attrs.node.length
+    },
+
+    /**
+     * @desc Number of distinct first-party sites (SLD of the top-level page)
+     * that reached the node (see {@link module:Util.site|``Util.site()``}).
+     */
+    reachSites: {
+      ...distinct((r) => Util.site(r)),
+      'type': 'integer',
+      'default': 0,
+      'description': 'Number of distinct first-party sites',
+    },
+
+    /**
+     * @desc Number of distinct documents that reached the node
+     */
+    reachDocuments: {
+      ...distinct((r) => r.documentId),
+      'type': 'integer',
+      'default': 0,
+      'description': 'Number of distinct documents',
+    },
+
+    /**
+     * @desc Number of distinct tabs that reached the node
+     * **NOTE:** Requests that are not related to a tab (``tabId === -1``) are ignored.
+     */
+    reachTabs: {
+      ...distinct((r) => (r.tabId >= 0) ? r.tabId : undefined),
+      'type': 'integer',
+      'default': 0,
+      'description': 'Number of distinct tabs',
+    },
+
+    /**
+     * @desc Ratio between the number of distinct first-party sites and all incoming requests
+     * **NOTE:** The set of sites is shared with ``reachSites``.
+     */
+    reachRatio: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Ratio of distinct first-party sites to requests',
+      'requires': ['reachSites'],
       'extract': () => null,
-      'set': (feature, attrs) => attrs.node.length
+      'set': (feature, attrs) => Util.ratio(attrs.reachSites.size, attrs.count)
+    },
+
+    /**
+     * @desc Number of requests to the node that arrived via a redirect
+     * (see {@link Wdg.follow|``Wdg.follow()``})
+     */
+    redirectsIn: {
+      'type': 'integer',
+      'default': 0,
+      'description': 'Number of requests arriving via a redirect',
+      'extract': (r, acc) => Util.count(r.redirectedFrom, acc),
+      'set': (feature, attrs) => attrs[feature]
+    },
+
+    /**
+     * @desc Number of requests to the node that were redirected
+     * (see {@link module:Util.redirect|``Util.redirect()``})
+     */
+    redirectsOut: {
+      'type': 'integer',
+      'default': 0,
+      'description': 'Number of redirected requests',
+      'extract': (r, acc) => Util.count(Util.redirect(r), acc),
+      'set': (feature, attrs) => attrs[feature]
+    },
+
+    /**
+     * @desc Ratio between requests that arrived via a redirect and were redirected again
+     * (i.e., the node is an intermediate hop of a redirect chain like in bounce tracking)
+     * and all incoming requests
+     */
+    bounceRatio: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Ratio of requests redirected again after a redirect',
+      'extract': (r, acc) => Util.count(r.redirectedFrom && Util.redirect(r), acc),
+      'set': (feature, attrs) => Util.ratio(attrs[feature], attrs.count)
     },
 
     /**
      * https://developer.chrome.com/docs/extensions/reference/webNavigation/#method-getFrame
      */
     frameIdGtZero: {
+      'type': 'double',
+      'default': 0,
+      'description': 'Ratio of requests from subframes',
       'extract': (r, acc) => (r.frameId > 0)
         ? acc + 1
         : acc,
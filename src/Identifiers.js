@@ -0,0 +1,94 @@
+import Util from './Util.js';
+
+/**
+ * @constant
+ * @type {Object}
+ * @desc The thresholds a value has to exceed to be deemed an identifier:
+ * - ``minLength`` and ``maxLength``: the number of characters,
+ * - ``minEntropy``: the Shannon entropy in bits per character,
+ * - ``minRequests``: the number of requests the value has to be sent in (stability),
+ * - ``maxCandidates``: the number of candidates kept in memory (see {@link Wdg~prune|``prune()``}).
+ */
+const thresholds = {
+  minLength: 8,
+  maxLength: 256,
+  minEntropy: 2.5,
+  minRequests: 2,
+  maxCandidates: 100000,
+};
+
+/**
+ * A module to detect identifiers, i.e., values of query parameters and cookie fields
+ * which likely identify a user. A value is an identifier candidate in case it is long,
+ * has a high entropy, contains a digit, and is neither a URL nor a timestamp
+ * (see {@link module:Identifiers.isCandidate|``Identifiers.isCandidate()``}).
+ * A candidate is deemed an identifier once it is stable, i.e., it has been sent
+ * unchanged in at least two requests (see {@link Wdg.identify|``Wdg.identify()``}).
+ * @module Identifiers
+ */
+export default {
+
+  thresholds,
+
+  /**
+   * A function to compute the Shannon entropy of a string.
+   * @param {String} value A string.
+   * @returns {Number} The entropy in bits per character.
+   */
+  entropy(value) {
+    let counts = [...value].reduce((acc, char) => {
+      acc[char] = (acc[char] || 0) + 1;
+      return acc;
+    }, {});
+
+    return Object
+      .values(counts)
+      .reduce((acc, count) => {
+        let p = count / value.length;
+        return acc - p * Math.log2(p);
+      }, 0);
+  },
+
+  /**
+   * A function to check whether a value is an identifier candidate.
+   * @param {String} value The value of a query parameter or cookie field.
+   * @returns {Boolean}
+   */
+  isCandidate(value) {
+    return typeof value === 'string'
+      && value.length >= thresholds.minLength
+      && value.length <= thresholds.maxLength
+      && /^[A-Za-z0-9._~+/=-]+$/.test(value)
+      && /[0-9]/.test(value)
+      && !/^[0-9]{10}([0-9]{3})?$/.test(value)
+      && this.entropy(value) >= thresholds.minEntropy;
+  },
+
+  /**
+   * A function to retrieve the identifier candidates sent with an HTTP/S request,
+   * i.e., in the query parameters of the target URL or the ``Cookie`` header.
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @returns {Array} Returns the distinct candidate values.
+   * Returns an empty array in case the request contains no candidates.
+   */
+  candidates(r) {
+    let values;
+    try {
+      values = Util
+        .params(r)
+        .map(([name, value]) => value)
+        .concat(Util
+          .cookie(r)
+          .map(([name, ...value]) => value.join('='))
+        );
+    } catch (err) {
+      return [];
+    }
+
+    return values
+      .filter((value, idx) => this.isCandidate(value) && values.indexOf(value) === idx);
+  },
+
+};
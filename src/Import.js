@@ -0,0 +1,76 @@
+import fs from 'fs';
+import { extname } from 'path';
+import Graph from 'graphology';
+import gexf from 'graphology-gexf';
+
+/**
+ * A function to convert numeric strings to numbers.
+ * Attributes inferred as ``string`` by the GEXF writer (e.g., mixed integers and doubles)
+ * are read back as strings.
+ * @param {Object} attrs The attributes of a node or an edge.
+ * @returns {Object} The attributes with numeric values.
+ */
+const numeric = (attrs) => Object
+  .keys(attrs)
+  .reduce((acc, key) => {
+    let value = attrs[key];
+    acc[key] = (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)))
+      ? Number(value)
+      : value;
+    return acc;
+  }, {});
+
+/**
+ * A module to read graphs previously exported with {@link module:Export|``Export``}.
+ * @module Import
+ */
+export default {
+
+  /**
+   * @desc An object containing all supported formats.
+   * Each format consists of the file ``extensions`` and a function ``parse(string)``
+   * that returns a graph generated with ``graphology``.
+   */
+  formats: {
+
+    gexf: {
+      extensions: ['.gexf'],
+      parse: (string) => gexf.parse(Graph, string),
+    },
+
+    json: {
+      extensions: ['.json'],
+      parse: (string) => Graph.from(JSON.parse(string)),
+    },
+
+  },
+
+  /**
+   * A function to read a graph from a file.
+   * The format is detected by the file extension. Numeric strings are converted to numbers.
+   * @param {String} file Path to a GEXF or graphology JSON file.
+   * @returns {Object} Returns a graph generated with ``graphology``.
+   * Throws an error in case the file does not exist or its format is not supported.
+   */
+  read(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error('graph not found at ' + file);
+    }
+
+    let extension = extname(file).toLowerCase();
+    let format = Object
+      .values(this.formats)
+      .find((f) => f.extensions.includes(extension));
+
+    if (!format) {
+      throw new Error(file + ' is neither a GEXF nor a graphology JSON file');
+    }
+
+    let graph = format.parse(fs.readFileSync(file, 'utf-8'));
+    graph.updateEachNodeAttributes((node, attrs) => numeric(attrs));
+    graph.updateEachEdgeAttributes((edge, attrs) => numeric(attrs));
+
+    return graph;
+  },
+
+};
@@ -0,0 +1,473 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import readline from 'readline';
+import { extname, join } from 'path';
+import { Readable } from 'stream';
+import fg from 'fast-glob';
+import JSONStream from 'JSONStream';
+import initSqlJs from 'sql.js';
+
+import Util from './Util.js';
+
+/**
+ * @constant
+ * @type {Object}
+ * @desc Mapping of file extensions of compressed files to functions
+ *       creating the corresponding decompression stream.
+ */
+const compressions = {
+  '.gz': () => zlib.createGunzip(),
+  '.br': () => zlib.createBrotliDecompress(),
+};
+
+/**
+ * @constant
+ * @type {Object}
+ * @desc Mapping of the ``_resourceType`` property of HAR entries (as exported by the
+ *       Chrome DevTools or Playwright) to the request types of the ``webRequest`` interface.
+ *       Resource types that are not listed are mapped to themselves in case they
+ *       are a valid request type and to ``other`` otherwise.
+ */
+const harTypes = {
+  document: 'main_frame',
+  xhr: 'xmlhttprequest',
+  fetch: 'xmlhttprequest',
+  eventsource: 'xmlhttprequest',
+  preflight: 'xmlhttprequest',
+  cspviolationreport: 'csp_report',
+  beacon: 'ping',
+};
+
+/**
+ * @constant
+ * @type {Array}
+ * @desc Request types of the ``webRequest`` interface which HAR resource types can be mapped to.
+ */
+const webRequestTypes = [
+  'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+  'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other',
+];
+
+/**
+ * A function to extract the origin of a URL.
+ * @param {String} url A URL.
+ * @returns {String} Returns the origin of the URL. Returns ``undefined`` in case the URL is invalid.
+ */
+const origin = (url) => {
+  try {
+    let o = new URL(url).origin;
+    return (o !== 'null') ? o : undefined;
+  } catch (err) {
+    return undefined;
+  }
+};
+
+/**
+ * A function to extract the initiator of a HAR entry from its ``_initiator`` property
+ * (Chrome DevTools). The initiator is the origin of the initiating document or script.
+ * @param {Object} initiator The ``_initiator`` property of a HAR entry.
+ * @returns {String} Returns the origin of the initiator. Returns ``undefined`` in case
+ * no initiator is present, so that {@link module:Util.source|``Util.source()``} falls back
+ * to the ``Referer`` or ``Origin`` header.
+ */
+const harInitiator = (initiator) => {
+  if (!initiator) {
+    return undefined;
+  }
+
+  if (initiator.url) {
+    return origin(initiator.url);
+  }
+
+  let frames = [];
+  for (let stack = initiator.stack; stack; stack = stack.parent) {
+    frames.push(...(stack.callFrames || []));
+  }
+
+  let frame = frames.find((f) => origin(f.url));
+  return (frame) ? origin(frame.url) : undefined;
+};
+
+/**
+ * A function to map a HAR entry to the format of an HTTP/S request retrieved
+ * from the ``webRequest`` interface as exported by T.EX.
+ * **NOTE:** HAR entries carry no labels, i.e., ``labels`` is empty.
+ * @param {Object} entry An entry of a HAR file.
+ * See {@link http://www.softwareishard.com/blog/har-12-spec/#entries} for more details.
+ * @returns {Object} The HTTP/S request.
+ */
+const harRequest = (entry) => {
+  let request = entry.request || {};
+  let response = entry.response || {};
+  let resourceType = (entry._resourceType || '').toLowerCase();
+  let timeStamp = Date.parse(entry.startedDateTime);
+
+  return {
+    url: request.url,
+    method: request.method,
+    type: harTypes[resourceType] ||
+      (webRequestTypes.includes(resourceType) ? resourceType : 'other'),
+    initiator: harInitiator(entry._initiator),
+    requestHeaders: request.headers || [],
+    requestBody: (request.postData && request.postData.text)
+      ? { raw: request.postData.text }
+      : undefined,
+    documentId: entry.pageref,
+    requestId: entry._requestId,
+    timeStamp,
+    labels: [],
+    response: {
+      url: request.url,
+      statusCode: response.status,
+      redirectUrl: response.redirectURL || undefined,
+      responseHeaders: response.headers || [],
+      timeStamp: timeStamp + (entry.time || 0),
+    },
+  };
+};
+
+/**
+ * @constant
+ * @type {Object}
+ * @desc Mapping of the resource types of the Firefox ``webRequest`` interface
+ *       (as recorded by OpenWPM) to the request types of the Chrome ``webRequest`` interface.
+ */
+const firefoxTypes = {
+  beacon: 'ping',
+  imageset: 'image',
+  object_subrequest: 'object',
+};
+
+/**
+ * @constant
+ * @type {String}
+ * @desc Query to join the HTTP/S requests of an OpenWPM crawl database with their
+ *       responses and the visited sites.
+ */
+const openWpmQuery = `
+  SELECT r.*,
+    v.site_url,
+    s.url AS response_url,
+    s.response_status,
+    s.headers AS response_headers,
+    s.location,
+    s.is_cached,
+    s.time_stamp AS response_time_stamp
+  FROM http_requests r
+  LEFT JOIN site_visits v ON v.visit_id = r.visit_id
+  LEFT JOIN http_responses s
+    ON s.visit_id = r.visit_id AND s.request_id = r.request_id AND s.url = r.url
+  ORDER BY r.id, s.id`;
+
+/**
+ * @constant
+ * @type {Number}
+ * @default 1073741824
+ * @desc The maximum size of an OpenWPM crawl database in bytes (1 GiB). The database is loaded into the
+ *       memory of {@link https://www.npmjs.com/package/sql.js|``sql.js``} (WebAssembly), which is limited to 2 GiB
+ *       and has to hold a copy of the file while it is loaded.
+ */
+const maxDatabaseSize = 1024 * 1024 * 1024;
+
+/**
+ * A function to parse the headers stored by OpenWPM.
+ * @param {String} headers A JSON string in the format ``[ [name, value], ... ]``.
+ * @returns {Array} Returns the headers in the format ``[ { name: "key", value: "value" }, ... ]``.
+ */
+const openWpmHeaders = (headers) => {
+  try {
+    return JSON
+      .parse(headers || '[]')
+      .map(([name, value]) => ({ name, value }));
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * A function to map a row of {@link module:Inputs~openWpmQuery|``openWpmQuery``} to the format of
+ * an HTTP/S request retrieved from the ``webRequest`` interface as exported by T.EX.
+ * In case no initiator is available, the visited site is used as initiator.
+ * **NOTE:** OpenWPM crawl databases carry no labels, i.e., ``labels`` is empty.
+ * @param {Object} row A joined row of the tables ``http_requests``, ``http_responses``, and ``site_visits``.
+ * @returns {Object} The HTTP/S request.
+ */
+const openWpmRequest = (row) => {
+  let type = String(row.resource_type || 'other');
+
+  return {
+    url: row.url,
+    method: row.method,
+    type: firefoxTypes[type] || (webRequestTypes.includes(type) ? type : 'other'),
+    initiator: origin(row.triggering_origin) || origin(row.referrer) || origin(row.site_url),
+    requestHeaders: openWpmHeaders(row.headers),
+    requestBody: (row.post_body)
+      ? { raw: row.post_body }
+      : undefined,
+    topLevelUrl: row.site_url || undefined,
+    documentId: row.visit_id,
+    requestId: row.request_id,
+    tabId: row.tab_id,
+    frameId: row.frame_id,
+    parentFrameId: row.parent_frame_id,
+    timeStamp: Date.parse(row.time_stamp),
+    labels: [],
+    response: (row.response_status !== null && row.response_status !== undefined)
+      ? {
+        url: row.response_url,
+        statusCode: row.response_status,
+        redirectUrl: row.location || undefined,
+        responseHeaders: openWpmHeaders(row.response_headers),
+        fromCache: Boolean(row.is_cached),
+        timeStamp: Date.parse(row.response_time_stamp),
+      }
+      : { url: row.url, responseHeaders: [] },
+  };
+};
+
+/**
+ * A function to read the HTTP/S requests of an OpenWPM crawl database.
+ * **NOTE:** The database is loaded into memory using
+ * {@link https://www.npmjs.com/package/sql.js|``sql.js``}, i.e., only the rows are streamed.
+ * Databases larger than {@link module:Inputs~maxDatabaseSize|``maxDatabaseSize``} are rejected
+ * before they are loaded.
+ * @param {Readable} stream A readable stream of the database file.
+ * @returns {AsyncGenerator} Yields the HTTP/S requests in the order in which they were recorded.
+ * Throws an error in case the database is too large.
+ */
+const openWpmRequests = async function* (stream) {
+  let chunks = [];
+  let size = 0;
+  for await (let chunk of stream) {
+    size += chunk.length;
+    if (size > maxDatabaseSize) {
+      stream.destroy();
+      throw new Error('OpenWPM database larger than ' + maxDatabaseSize / 1024 / 1024
+        + ' MiB cannot be loaded into memory, split the crawl into several databases');
+    }
+    chunks.push(chunk);
+  }
+
+  let SQL = await initSqlJs();
+  let db = new SQL.Database(Buffer.concat(chunks, size));
+  chunks = undefined;
+
+  try {
+    db.run('CREATE INDEX IF NOT EXISTS tex_graph_responses ON http_responses (visit_id, request_id, url)');
+
+    let statement = db.prepare(openWpmQuery);
+    let previous;
+    while (statement.step()) {
+      let row = statement.getAsObject();
+
+      // A request may have several responses (e.g., duplicated events); use the first one.
+      if (row.id === previous) {
+        continue;
+      }
+      previous = row.id;
+
+      yield openWpmRequest(row);
+    }
+    statement.free();
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * A function to parse newline-delimited JSON (one record per line). Empty lines are ignored.
+ * @param {Readable} stream A readable stream of the file.
+ * @returns {AsyncGenerator} Yields the parsed records.
+ */
+const ndjsonRecords = async function* (stream) {
+  let lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (let line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+};
+
+/**
+ * A function to split the file extension of a compressed file.
+ * @param {String} file The name of a file.
+ * @returns {Object} Returns the compression extension (e.g., ``.gz``) and the
+ * extension of the decompressed file (e.g., ``.json`` for ``crawl.json.gz``).
+ */
+const split = (file) => {
+  let extension = extname(file).toLowerCase();
+  return (compressions[extension])
+    ? { compression: extension, extension: extname(file.slice(0, -extension.length)).toLowerCase() }
+    : { compression: undefined, extension };
+};
+
+/**
+ * A module to handle the supported input formats.
+ * Each format consists of the file ``extensions`` that are detected automatically
+ * and a function ``read(stream)`` which receives a readable stream of the (decompressed)
+ * file and returns a readable stream (object mode) of HTTP/S requests in the format of
+ * the ``webRequest`` interface as exported by T.EX.
+ * Files compressed with gzip (``*.gz``) or brotli (``*.br``) are decompressed transparently.
+ * @module Inputs
+ */
+export default {
+
+  /**
+   * @desc An object containing all supported input formats.
+   */
+  formats: {
+
+    /**
+     * JSON files exported by T.EX.
+     */
+    tex: {
+      extensions: ['.json'],
+      read: (stream) => stream.pipe(JSONStream.parse('*')),
+    },
+
+    /**
+     * Newline-delimited JSON files containing one request exported by T.EX per line.
+     */
+    ndjson: {
+      extensions: ['.ndjson', '.jsonl'],
+      read: (stream) => Readable.from(ndjsonRecords(stream)),
+    },
+
+    /**
+     * {@link http://www.softwareishard.com/blog/har-12-spec/|HAR} files exported
+     * by the DevTools of Chrome or Firefox, or by Playwright.
+     */
+    har: {
+      extensions: ['.har'],
+      read: (stream) => stream.pipe(JSONStream.parse('log.entries.*', harRequest)),
+    },
+
+    /**
+     * Crawl databases (SQLite) of {@link https://github.com/openwpm/OpenWPM|OpenWPM}
+     * containing the tables ``http_requests``, ``http_responses``, and ``site_visits``.
+     */
+    openwpm: {
+      extensions: ['.sqlite', '.sqlite3', '.db'],
+      read: (stream) => Readable.from(openWpmRequests(stream)),
+    },
+
+  },
+
+  /**
+   * A function to retrieve the file extensions of input files.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {Array} Returns the extensions of the format selected with option ``inputFormat``
+   * (including ``.json``) or the extensions of all formats.
+   */
+  extensions(options) {
+    return (options.inputFormat)
+      ? [...new Set(['.json', ...this.formats[options.inputFormat].extensions])]
+      : Object
+        .values(this.formats)
+        .reduce((acc, val) => acc.concat(val.extensions), []);
+  },
+
+  /**
+   * A function to determine the input format of a file.
+   * @param {String} file The name of an input file.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {Object} Returns the format selected with option ``inputFormat``.
+   * Otherwise, the format is detected by the file extension.
+   */
+  format(file, options) {
+    if (options.inputFormat) {
+      return this.formats[options.inputFormat];
+    }
+
+    let { extension } = split(file);
+    return Object
+      .values(this.formats)
+      .find((format) => format.extensions.includes(extension)) || this.formats.tex;
+  },
+
+  /**
+   * A function to read the HTTP/S requests of an input file.
+   * @param {String} file Path to the input file.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {Readable} Returns a readable stream (object mode) of HTTP/S requests.
+   */
+  read(file, options) {
+    let { compression } = split(file);
+    let stream = fs.createReadStream(file);
+
+    if (compression) {
+      let decompressed = stream.pipe(compressions[compression]());
+      stream.on('error', (err) => decompressed.destroy(err));
+      stream = decompressed;
+    }
+
+    let records = this
+      .format(file, options)
+      .read(stream);
+    stream.on('error', (err) => records.destroy(err));
+
+    return records;
+  },
+
+  /**
+   * A function to iterate over the HTTP/S requests of an input file, e.g., with ``for await``.
+   * @param {String} file Path to the input file.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {Readable} Returns a readable stream (object mode) of HTTP/S requests, which is an async iterable.
+   */
+  iterate(file, options) {
+    let records = this.read(file, options);
+    return (records[Symbol.asyncIterator])
+      ? records
+      : new Readable({ objectMode: true }).wrap(records);
+  },
+
+  /**
+   * A function to discover all input files.
+   * Each input is either a file, a directory, or a glob pattern
+   * (see {@link https://www.npmjs.com/package/fast-glob|``fast-glob``}).
+   * Directories are searched for files with the extensions of the input formats
+   * (see {@link module:Inputs.extensions|``Inputs.extensions()``}), including their
+   * compressed variants, and traversed recursively in case option ``recursive`` is set.
+   * The files of each input are sorted by path, and the inputs are processed in the given order,
+   * so that the files are always processed in the same order. Duplicates are removed.
+   * @param {Array} inputs Paths to files or directories, or glob patterns.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {Array} Returns the paths of all input files.
+   * Throws an error in case an input does not exist or no input files are found.
+   */
+  discover(inputs, options) {
+    let extensions = this
+      .extensions(options)
+      .reduce((acc, ext) => acc.concat([ext], Object.keys(compressions).map((c) => ext + c)), []);
+
+    let files = inputs.reduce((acc, input) => {
+      let path = Util.path(input);
+      let found;
+
+      if (path && Util.isDir(path)) {
+        found = Util
+          .batches(path, extensions, options.recursive)
+          .map((file) => join(path, file));
+      } else if (path) {
+        found = [path];
+      } else if (fg.isDynamicPattern(input)) {
+        found = fg.sync(input, { onlyFiles: true });
+      } else {
+        throw new Error('files not found at ' + input);
+      }
+
+      return acc.concat(found.sort((a, b) => (a < b) ? -1 : (a > b) ? 1 : 0));
+    }, []);
+
+    files = [...new Set(files)];
+    if (files.length === 0) {
+      throw new Error(inputs.join(', ') + ' contains no input files (' + this.extensions(options).join(', ') + ')');
+    }
+
+    return files;
+  },
+
+};
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import { basename, extname } from 'path';
+import { FiltersEngine, Request } from '@ghostery/adblocker';
+
+import Entities from './Entities.js';
+import Util from './Util.js';
+
+/**
+ * A function to determine the name of a blocklist.
+ * The name is taken from the ``! Title:`` metadata of the list (e.g., ``EasyList``)
+ * and falls back to the file name without extension.
+ * @param {String} text The content of the blocklist.
+ * @param {String} file Path to the blocklist.
+ * @returns {String} The name of the blocklist.
+ */
+const title = (text, file) => {
+  let match = text.match(/^!\s*Title:\s*(.+)$/m);
+  return (match)
+    ? match[1].trim()
+    : basename(file, extname(file));
+};
+
+/**
+ * A function to check whether the source and the target of an HTTP/S request have the same owner
+ * (see {@link module:Entities.owner|``Entities.owner()``}).
+ * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+ * @param {Object} options Options object passed by ``commander``.
+ * @returns {Boolean} Returns ``false`` in case the source or the target is not a valid URL.
+ */
+const sameOwner = (r, options) => {
+  try {
+    return Entities.owner(new URL(Util.source(r)).hostname, options)
+      === Entities.owner(new URL(Util.target(r)).hostname, options);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * A module to label HTTP/S requests with filter lists in the Adblock Plus syntax
+ * (e.g., {@link https://easylist.to/|EasyList and EasyPrivacy}) read from local files.
+ * Requests are matched using
+ * {@link https://www.npmjs.com/package/@ghostery/adblocker|``@ghostery/adblocker``}
+ * by their URL, type, and source (i.e., the third-party context), and labeled in the same
+ * format as by T.EX:
+ * ```json
+ * [ { blocklist: "EasyList", isLabeled: false }, { blocklist: "EasyPrivacy", isLabeled: true, rule: [...] } ]
+ * ```
+ * @module Labels
+ */
+export default {
+
+  /**
+   * A function to read and parse blocklists. Cosmetic filters are ignored.
+   * @param {Array} files Paths to the blocklists passed with option ``blocklist``.
+   * @returns {Array} Returns the parsed blocklists in the format
+   * ``[ { blocklist: name, engine: FiltersEngine }, ... ]``.
+   * Throws an error in case a file does not exist or two blocklists have the same name.
+   */
+  load(files = []) {
+    return files.reduce((acc, file) => {
+      if (!fs.existsSync(file)) {
+        throw new Error('blocklist not found at ' + file);
+      }
+
+      let text = fs.readFileSync(file, 'utf-8');
+      let blocklist = title(text, file);
+      if (acc.some((list) => list.blocklist === blocklist)) {
+        throw new Error('blocklist ' + blocklist + ' of ' + file + ' is already loaded');
+      }
+
+      return acc.concat([{
+        blocklist,
+        engine: FiltersEngine.parse(text, { loadCosmeticFilters: false }),
+      }]);
+    }, []);
+  },
+
+  /**
+   * A function to label an HTTP/S request with the given blocklists.
+   * A request is labeled by a blocklist in case a filter matches and no exception applies.
+   * In case option ``entity`` is set, requests between hosts of the same organization are matched
+   * as first-party requests (see {@link module:Entities.owner|``Entities.owner()``}).
+   * **NOTE:** Existing ``labels`` of the request are replaced.
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @param {Array} blocklists The blocklists created with {@link module:Labels.load|``Labels.load()``}.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {Object} Returns the request including the new ``labels``.
+   */
+  label(r, blocklists, options = {}) {
+    let request = Request.fromRawDetails({
+      url: Util.target(r) || '',
+      sourceUrl: Util.source(r) || '',
+      type: r.type || 'other',
+    });
+
+    if (options.entity && request.isThirdParty && sameOwner(r, options)) {
+      request.isThirdParty = false;
+      request.isFirstParty = true;
+    }
+
+    r.labels = blocklists.map(({ blocklist, engine }) => {
+      let { match, filter } = engine.match(request);
+      return (match)
+        ? { isLabeled: true, rule: Object.entries(filter), blocklist }
+        : { isLabeled: false, blocklist };
+    });
+
+    return r;
+  },
+
+};
@@ -0,0 +1,156 @@
+import forceAtlas2 from 'graphology-layout-forceatlas2';
+
+import Graph from 'graphology';
+
+import Util from './Util.js';
+
+/**
+ * @constant
+ * @type {Object}
+ * @desc The range of the node sizes written as ``viz:size``.
+ */
+const sizes = { min: 2, max: 20 };
+
+/**
+ * @constant
+ * @type {Array}
+ * @desc The color scale of the nodes (from 0 to 1): green, yellow, red.
+ */
+const colors = [[26, 150, 65], [255, 255, 191], [215, 25, 28]];
+
+/**
+ * A function to determine the value of a node used for its size or color.
+ * The value ``indegree`` is the number of incoming request edges of the node.
+ * Boolean attributes (e.g., labels) are converted to 0 or 1.
+ * @param {Object} graph A graph generated with ``graphology``.
+ * @param {String} node The key of the node.
+ * @param {String} attribute The name of a numeric node attribute or ``indegree``.
+ * @returns {Number} The value of the node. Returns ``undefined`` in case the value is not numeric.
+ */
+const value = (graph, node, attribute) => {
+  if (attribute === 'indegree') {
+    return graph.filterInEdges(node, (edge, attrs) => Util.isRequest(attrs)).length;
+  }
+
+  let val = graph.getNodeAttribute(node, attribute);
+  if (typeof val === 'boolean') {
+    return Util.zeroOrOne(val);
+  }
+
+  return (typeof val === 'number' && Number.isFinite(val)) ? val : undefined;
+};
+
+/**
+ * A function to scale the values of all nodes to the interval [0, 1].
+ * Values within [0, 1] (e.g., ratios) are kept as they are, i.e., the interval is
+ * extended to the minimum and maximum value of the nodes only if they exceed it.
+ * @param {Object} graph A graph generated with ``graphology``.
+ * @param {String} attribute The name of a numeric node attribute or ``indegree``.
+ * @param {String} option The name of the option used in error messages.
+ * @returns {Map} Returns the scaled values by node. Nodes without a numeric value are missing.
+ * Throws an error in case no node has a numeric value.
+ */
+const scale = (graph, attribute, option) => {
+  let values = new Map();
+  graph.forEachNode((node) => {
+    let val = value(graph, node, attribute);
+    if (val !== undefined) {
+      values.set(node, val);
+    }
+  });
+
+  if (graph.order > 0 && values.size === 0) {
+    throw new Error('node attribute ' + attribute + ' of option ' + option + ' is not numeric or does not exist');
+  }
+
+  let min = 0;
+  let max = 1;
+  values.forEach((val) => {
+    min = Math.min(min, val);
+    max = Math.max(max, val);
+  });
+  values.forEach((val, node) => values.set(node, (val - min) / (max - min)));
+
+  return values;
+};
+
+/**
+ * A function to map a scaled value to a color of the color scale.
+ * @param {Number} ratio A value between 0 and 1.
+ * @returns {String} The color in the format ``rgb(r,g,b)``.
+ */
+const color = (ratio) => {
+  let position = ratio * (colors.length - 1);
+  let idx = Math.min(Math.floor(position), colors.length - 2);
+  let weight = position - idx;
+
+  return 'rgb(' + colors[idx]
+    .map((channel, i) => Math.round(channel + (colors[idx + 1][i] - channel) * weight))
+    .join(',') + ')';
+};
+
+/**
+ * A module to compute a force-directed layout (ForceAtlas2) of a graph instance before it is exported.
+ * The layout is computed with
+ * {@link https://www.npmjs.com/package/graphology-layout-forceatlas2|``graphology-layout-forceatlas2``}
+ * and, like the size and color of the nodes, stored as the node attributes ``x``, ``y``, ``size`` and ``color``,
+ * which are written as ``viz:position``, ``viz:size`` and ``viz:color`` in the GEXF format.
+ * @module Layout
+ */
+export default {
+
+  /**
+   * A function to check the options of the layout.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {String} Returns an error message in case the options are invalid.
+   * Returns ``undefined`` otherwise.
+   */
+  validate(options) {
+    if (!/^[0-9]+$/.test(String(options.layoutIterations)) || Number(options.layoutIterations) < 1) {
+      return 'invalid number of layout iterations ' + options.layoutIterations + ' (expected a positive number)';
+    }
+  },
+
+  /**
+   * A function to compute the layout, the sizes and the colors of the nodes.
+   * The nodes start on a circle in the order of the graph instance, so that the layout is deterministic.
+   * Only request edges are considered (see {@link module:Util.isRequest|``Util.isRequest()``}).
+   * The size of a node is mapped linearly to option ``sizeBy`` and its color to option ``colorBy``.
+   * @param {Object} graph A graph generated with ``graphology`` including the node attributes.
+   * @param {Object} options Options object passed by ``commander``, i.e.,
+   * ``layoutIterations``, ``sizeBy`` and ``colorBy``.
+   * @returns {Object} The graph including the node attributes ``x``, ``y``, ``size`` and ``color``.
+   * Throws an error in case ``sizeBy`` or ``colorBy`` is not a numeric node attribute.
+   */
+  assign(graph, options) {
+    let size = scale(graph, options.sizeBy, '--size-by');
+    let ratio = scale(graph, options.colorBy, '--color-by');
+
+    let copy = new Graph({ type: 'directed' });
+    graph.forEachNode((node) => {
+      let angle = 2 * Math.PI * copy.order / graph.order;
+      copy.addNode(node, { x: 100 * Math.cos(angle), y: 100 * Math.sin(angle) });
+    });
+    graph.forEachEdge((edge, attrs, source, target) => {
+      if (Util.isRequest(attrs) && source !== target) {
+        copy.addEdgeWithKey(edge, source, target);
+      }
+    });
+
+    let positions = forceAtlas2(copy, {
+      iterations: Number(options.layoutIterations),
+      settings: forceAtlas2.inferSettings(copy),
+    });
+
+    graph.forEachNode((node) => graph.mergeNodeAttributes(node, {
+      x: positions[node].x,
+      y: positions[node].y,
+      size: sizes.min + (sizes.max - sizes.min) * (size.get(node) || 0),
+      color: color(ratio.get(node) || 0),
+    }));
+
+    return graph;
+  },
+
+};
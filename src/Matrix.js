@@ -0,0 +1,300 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import pkg from 'tldjs';
+const { getDomain } = pkg;
+
+import Export from './Export.js';
+import { blocklists } from './Features.js';
+import Plugins from './Plugins.js';
+import Util from './Util.js';
+
+/**
+ * @constant
+ * @type {Array}
+ * @desc Node attributes which are never part of the feature matrix,
+ *       because the ground-truth labels are derived from them.
+ */
+const excluded = ['tracking', 'blocklistAgreement'];
+
+/**
+ * A function to check whether a node attribute is excluded from the feature matrix.
+ * Besides ``excluded``, the tracking features of blocklists
+ * (see {@link module:Features.blocklists|``Features.blocklists``}) are excluded.
+ * @param {String} name The name of a node attribute.
+ * @returns {Boolean}
+ */
+const isExcluded = (name) => excluded.includes(name) || blocklists.test(name);
+
+/**
+ * A function to read a list of known trackers.
+ * The file contains one domain per line. Empty lines and lines starting with ``#`` are ignored.
+ * @param {String} file Path to the list of known trackers.
+ * @returns {Set} Returns the set of known tracker domains.
+ */
+const readTrackers = (file) => new Set(
+  fs
+    .readFileSync(file, 'utf-8')
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+);
+
+/**
+ * A function to check whether a node is contained in the list of known trackers.
+ * A node matches in case it is listed itself or in case one of its parent domains is listed.
+ * @param {String} node The domain name of a node.
+ * @param {Set} trackers The set of known tracker domains.
+ * @returns {Boolean}
+ */
+const isListed = (node, trackers) => node
+  .toLowerCase()
+  .split('.')
+  .some((label, idx, labels) => trackers.has(labels.slice(idx).join('.')));
+
+/**
+ * A function to determine the first-party site of a node which is used to split the
+ * feature matrix into a training and a test set. The site of a node is the
+ * {@link https://en.wikipedia.org/wiki/Second-level_domain|SLD} of the in-neighbor that
+ * sent the most HTTP/S requests to the node. Nodes without in-neighbors are sites themselves.
+ * @param {Object} graph A graph generated with ``graphology``.
+ * @param {String} node The domain name of a node.
+ * @returns {String} The first-party site of the node.
+ */
+const site = (graph, node) => {
+  let primary = graph.reduceInEdges(
+    node,
+    (acc, edge, attrs, source) =>
+      (Util.isRequest(attrs) && (!acc || attrs.count > acc.count)) ? { source, count: attrs.count } : acc,
+    null
+  );
+
+  return getDomain((primary) ? primary.source : node) || node;
+};
+
+/**
+ * A function to deterministically assign a first-party site to the test set.
+ * @param {String} site The first-party site.
+ * @param {Number} ratio The ratio of sites assigned to the test set.
+ * @param {String} seed A seed to vary the assignment.
+ * @returns {Boolean} Returns ``true`` in case the site belongs to the test set.
+ */
+const isTest = (site, ratio, seed) => {
+  let hash = crypto
+    .createHash('md5')
+    .update(seed + site)
+    .digest();
+
+  return hash.readUInt32BE(0) / 0xffffffff < ratio;
+};
+
+/**
+ * A module to export the node attributes of a graph instance as a feature matrix
+ * (one row per node) including a ground-truth ``label`` column, e.g., to train a classifier.
+ * @module Matrix
+ */
+export default {
+
+  /**
+   * @desc An object containing all supported formats of the feature matrix.
+   * Each format consists of the file ``extension`` and a function
+   * ``serialize(columns, rows)``, where ``columns`` is the output of
+   * {@link module:Matrix.columns|``Matrix.columns()``} and ``rows`` an array of
+   * rows in the order of ``columns``.
+   */
+  formats: {
+
+    csv: {
+      extension: '.csv',
+      serialize: (columns, rows) =>
+        Export.csv(columns.map((column) => column.name), rows)
+    },
+
+    /**
+     * {@link https://waikato.github.io/weka-wiki/formats_and_processing/arff/|ARFF} as used by Weka.
+     */
+    arff: {
+      extension: '.arff',
+      serialize: (columns, rows) => {
+        let quote = (value) => "'" + String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+        let types = { id: 'STRING', feature: 'NUMERIC', label: '{0,1}' };
+
+        return [
+          '@RELATION t.ex-graph',
+          '',
+          ...columns.map((column) => '@ATTRIBUTE ' + quote(column.name) + ' ' + types[column.kind]),
+          '',
+          '@DATA',
+          ...rows.map((row) =>
+            row
+              .map((value, idx) => {
+                if (columns[idx].kind === 'id') {
+                  return quote(value);
+                }
+                return (typeof value === 'number' && !Number.isNaN(value)) ? value : '?';
+              })
+              .join(',')
+          ),
+        ].join('\n') + '\n';
+      }
+    },
+
+    /**
+     * One JSON object per line.
+     */
+    jsonl: {
+      extension: '.jsonl',
+      serialize: (columns, rows) =>
+        rows
+          .map((row) =>
+            JSON.stringify(
+              row.reduce((acc, val, idx) => {
+                acc[columns[idx].name] = val;
+                return acc;
+              }, {})
+            )
+          )
+          .join('\n') + '\n'
+    },
+
+  },
+
+  /**
+   * A function to check the options of the command matrix.
+   * Without option ``trackers``, the labels are derived from the node attribute ``tracking``
+   * (see {@link module:Matrix.label|``Matrix.label()``}), which therefore has to be selected
+   * (see {@link module:Plugins.selected|``Plugins.selected()``}).
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {String} Returns an error message in case the options are invalid.
+   * Returns ``undefined`` otherwise.
+   */
+  validate(options) {
+    let threshold = Number(options.threshold);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return 'threshold has to be a number between 0 and 1';
+    }
+
+    if (options.trackers && !fs.existsSync(options.trackers)) {
+      return 'list of known trackers not found at ' + options.trackers;
+    }
+
+    if (!options.trackers && !Plugins.selected('tracking', options)) {
+      return 'the labels are derived from the node attribute tracking, which is not selected '
+        + 'with --only-features or --exclude-features (use --trackers instead)';
+    }
+
+    if (options.split !== undefined) {
+      let split = Number(options.split);
+      if (Number.isNaN(split) || split <= 0 || split >= 1) {
+        return 'split has to be a number between 0 and 1 (exclusive)';
+      }
+    }
+  },
+
+  /**
+   * A function to determine the columns of the feature matrix.
+   * The first column is the node (``id``), followed by all numeric node attributes
+   * (see {@link module:Export.schema|``Export.schema()``}) and the ``label`` column.
+   * The node attributes the labels are derived from are excluded
+   * (see {@link module:Matrix~isExcluded|``isExcluded()``}), so that the features do not leak the labels.
+   * @param {Object} graph A graph generated with ``graphology``.
+   * @returns {Array} Returns the columns in the format:
+   * ```json
+   * [ { name: "id", kind: "id" }, { name: "count", kind: "feature" }, ..., { name: "label", kind: "label" } ]
+   * ```
+   */
+  columns(graph) {
+    return [
+      { name: 'id', kind: 'id' },
+      ...Export
+        .schema(graph, 'node')
+        .filter((attr) => (attr.type === 'integer' || attr.type === 'double') && !isExcluded(attr.name))
+        .map((attr) => ({ name: attr.name, kind: 'feature' })),
+      { name: 'label', kind: 'label' },
+    ];
+  },
+
+  /**
+   * A function to compute the ground-truth label of a node.
+   * In case a list of known trackers is passed, a node is labeled as tracker
+   * if it (or one of its parent domains) is listed.
+   * Otherwise, a node is labeled as tracker if its ``tracking`` ratio
+   * is greater than or equal to ``threshold``.
+   * @param {String} node The domain name of a node.
+   * @param {Object} attrs The attributes of the node.
+   * @param {Object} options Options object passed by ``commander``.
+   * @param {Set} trackers The set of known tracker domains (optional).
+   * @returns {Number} Returns 1 for trackers, 0 otherwise.
+   */
+  label(node, attrs, options, trackers) {
+    return (trackers)
+      ? Util.zeroOrOne(isListed(node, trackers))
+      : Util.zeroOrOne(attrs.tracking >= Number(options.threshold));
+  },
+
+  /**
+   * A function to compute the rows of the feature matrix.
+   * In case option ``split`` is set, each row is assigned to either the training or the
+   * test set by the first-party site of the node (see {@link module:Matrix~site|``site()``}),
+   * so that nodes of the same site never end up in both sets.
+   * @param {Object} graph A graph generated with ``graphology``.
+   * @param {Object} options Options object passed by ``commander``.
+   * @returns {Object} Returns the columns and the rows in the format:
+   * ```json
+   * { columns: [...], train: [...], test: [...] }
+   * ```
+   */
+  rows(graph, options) {
+    let columns = this.columns(graph);
+    let trackers = (options.trackers) ? readTrackers(options.trackers) : undefined;
+
+    return graph.reduceNodes(
+      (acc, node, attrs) => {
+        let row = columns.map((column) => {
+          if (column.kind === 'id') {
+            return node;
+          } else if (column.kind === 'label') {
+            return this.label(node, attrs, options, trackers);
+          } else {
+            return attrs[column.name];
+          }
+        });
+
+        if (options.split !== undefined && isTest(site(graph, node), Number(options.split), options.seed || '')) {
+          acc.test.push(row);
+        } else {
+          acc.train.push(row);
+        }
+
+        return acc;
+      },
+      { columns, train: [], test: [] }
+    );
+  },
+
+  /**
+   * A function to write the feature matrix in the format selected with option ``format``.
+   * In case option ``split`` is set, the training and the test set are written to
+   * ``<output>.train.<format>`` and ``<output>.test.<format>``, respectively.
+   * Otherwise, the matrix is written to ``<output>.<format>``.
+   * @param {Object} graph A graph generated with ``graphology``.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   */
+  write(graph, options) {
+    let format = this.formats[options.format];
+    let output = options.output || 'matrix';
+    let base = (output.endsWith(format.extension))
+      ? output.slice(0, -format.extension.length)
+      : output;
+    let { columns, train, test } = this.rows(graph, options);
+
+    if (options.split !== undefined) {
+      fs.writeFileSync(base + '.train' + format.extension, format.serialize(columns, train));
+      fs.writeFileSync(base + '.test' + format.extension, format.serialize(columns, test));
+    } else {
+      fs.writeFileSync(base + format.extension, format.serialize(columns, train));
+    }
+  },
+
+};
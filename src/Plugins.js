@@ -0,0 +1,237 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+import Features, { blocklists, entities } from './Features.js';
+import Schema from './Schema.js';
+import Util from './Util.js';
+
+/**
+ * @constant
+ * @type {Array}
+ * @desc Built-in features that cannot be excluded, since they are
+ *       the divisor of most other features.
+ */
+const required = ['count'];
+
+/**
+ * @constant
+ * @type {Array}
+ * @desc Names that cannot be used by custom features, since they are passed to ``set()``
+ *       (``node``, ``indegree``, ``partners``), used as node label, or taken by attributes
+ *       that are not computed by features (see {@link module:Schema.attributes|``Schema.attributes``}).
+ *       Names of the tracking features of blocklists (see {@link module:Features.blocklists|``Features.blocklists``})
+ *       are reserved as well.
+ */
+const reserved = [
+  'node',
+  'indegree',
+  'partners',
+  'label',
+  ...Object.keys(Schema.attributes.node),
+  ...Object.keys(Schema.attributes.edge),
+];
+
+/**
+ * A function to add the features required by the built-in features of a selection
+ * (see {@link module:Features~requires|``requires``}), including the features required by the added features.
+ * @param {Array} names The names of the selected built-in features.
+ * @returns {Array} Returns the names of the selected and required features.
+ */
+const dependencies = (names) => {
+  let selected = new Set(names);
+  selected.forEach((name) =>
+    ((Features[name] || {}).requires || []).forEach((dependency) => selected.add(dependency))
+  );
+  return [...selected];
+};
+
+/**
+ * A function to check whether an object implements the feature contract
+ * (see {@link module:Features|``Features``}).
+ * @param {String} name The name of the feature.
+ * @param {Object} feature The feature object.
+ * @returns {String} Returns an error message in case the feature object is malformed.
+ * Returns ``undefined`` otherwise.
+ */
+const malformed = (name, feature) => {
+  if (!feature || typeof feature !== 'object') {
+    return 'feature ' + name + ' is not an object';
+  }
+
+  let missing = ['extract', 'set']
+    .filter((property) => typeof feature[property] !== 'function');
+
+  if (missing.length > 0) {
+    return 'feature ' + name + ' does not implement ' + missing.join(' and ');
+  }
+
+  let invalid = ['accumulate', 'init']
+    .filter((property) => feature[property] !== undefined && typeof feature[property] !== 'function');
+
+  if (invalid.length > 0) {
+    return 'property ' + invalid.join(' and ') + ' of feature ' + name + ' is not a function';
+  }
+
+  let types = ['type', 'accumulator']
+    .filter((property) => feature[property] !== undefined && !Schema.types.includes(feature[property]));
+
+  if (types.length > 0) {
+    return 'property ' + types.join(' and ') + ' of feature ' + name + ' is not one of ' + Schema.types.join(', ');
+  }
+
+  if (feature.requires !== undefined &&
+      (!Array.isArray(feature.requires) || feature.requires.some((dependency) => typeof dependency !== 'string'))) {
+    return 'property requires of feature ' + name + ' is not an array of feature names';
+  }
+
+  if (feature.init && typeof feature.init() !== 'number' && !feature.accumulate) {
+    return 'feature ' + name + ' has a non-numeric init but does not implement accumulate';
+  }
+};
+
+/**
+ * A module to load custom feature modules and to trim the built-in
+ * {@link module:Features|``Features``}.
+ * A custom feature module is an ES module whose default export is an object of
+ * feature objects, i.e., the same format as the module {@link module:Features|``Features``}:
+ * ```js
+ * export default {
+ *   postRatio: {
+ *     type: 'double',
+ *     default: 0,
+ *     description: 'Ratio of POST requests',
+ *     extract: (r, acc) => (r.method === 'POST') ? acc + 1 : acc,
+ *     set: (feature, attrs) => attrs[feature] / attrs.count
+ *   }
+ * };
+ * ```
+ * @module Plugins
+ */
+export default {
+
+  /**
+   * A function to check the names passed with option ``onlyFeatures`` or ``excludeFeatures``.
+   * Besides the built-in features, the names of the tracking features of blocklists
+   * (see {@link module:Features.blocklists|``Features.blocklists``}) are accepted.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {String} Returns an error message in case the options are invalid.
+   * Returns ``undefined`` otherwise.
+   */
+  validate(options) {
+    if (options.onlyFeatures && options.excludeFeatures) {
+      return 'options --only-features and --exclude-features cannot be combined';
+    }
+
+    let names = options.onlyFeatures || options.excludeFeatures || [];
+    let unknown = names.filter((name) => !Features[name] && !blocklists.test(name));
+    if (unknown.length > 0) {
+      return 'unknown built-in feature(s) ' + unknown.join(', ');
+    }
+
+    let excluded = required
+      .filter((name) => (options.excludeFeatures || []).includes(name));
+    if (excluded.length > 0) {
+      return 'feature(s) ' + excluded.join(', ') + ' cannot be excluded';
+    }
+
+    let exclude = options.excludeFeatures || [];
+    let requiring = Object
+      .keys(Features)
+      .filter((name) => !exclude.includes(name) &&
+        (Features[name].requires || []).some((dependency) => exclude.includes(dependency)));
+    if (requiring.length > 0) {
+      return 'feature(s) ' + exclude.filter((name) => dependencies(requiring).includes(name)).join(', ')
+        + ' cannot be excluded, since feature(s) ' + requiring.join(', ') + ' require them';
+    }
+  },
+
+  /**
+   * A function to check whether a built-in feature or the tracking feature of a blocklist
+   * (see {@link module:Features.blocklists|``Features.blocklists``}) is selected with option ``onlyFeatures``
+   * or ``excludeFeatures``. The features required by the selected features are selected as well
+   * (see {@link module:Plugins~dependencies|``dependencies()``}). The tracking features of blocklists are not composed in
+   * {@link module:Plugins.load|``Plugins.load()``}, but added once a blocklist is seen (see {@link Wdg.register|``Wdg.register()``}).
+   * @param {String} name The name of the feature, e.g., ``tracking`` or ``trackingEasyList``.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {Boolean}
+   */
+  selected(name, options = {}) {
+    return (options.onlyFeatures)
+      ? dependencies([...required, ...options.onlyFeatures]).includes(name)
+      : !(options.excludeFeatures || []).includes(name);
+  },
+
+  /**
+   * A function to compose the feature objects used to generate the graph.
+   * The steps are:
+   * 1. Trim the built-in features using option ``onlyFeatures`` or ``excludeFeatures``.
+   *    The features required by the selected features are kept (see {@link module:Plugins~dependencies|``dependencies()``}).
+   * 2. Add the feature of option ``entity`` (see {@link module:Features.entities|``Features.entities``}), in case it is set.
+   * 3. Import each module passed with option ``features`` and merge its feature objects.
+   *    Reserved names (see {@link module:Plugins~reserved|``reserved``}) cannot be used.
+   * 4. Check that the features required by each feature are available.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {Promise} Resolves with the feature objects. Rejects with an error in case
+   * a module cannot be imported, a feature object is malformed, a feature name is already taken or reserved,
+   * or a required feature is not available.
+   */
+  async load(options) {
+    let features = Object
+      .keys(Features)
+      .filter((name) => this.selected(name, options))
+      .reduce((acc, name) => {
+        acc[name] = Features[name];
+        return acc;
+      }, {});
+
+    if (options.entity) {
+      features[entities.name] = entities.feature;
+    }
+
+    for (let file of options.features || []) {
+      let path = Util.path(file);
+      if (!path) {
+        throw new Error('feature module not found at ' + file);
+      }
+
+      let module = await import(pathToFileURL(resolve(path)).href);
+      if (!module.default || typeof module.default !== 'object') {
+        throw new Error(file + ' has no default export of feature objects');
+      }
+
+      Object
+        .keys(module.default)
+        .forEach((name) => {
+          if (Object.prototype.hasOwnProperty.call(Features, name) || features[name]) {
+            throw new Error('feature ' + name + ' of ' + file + ' is already defined');
+          }
+
+          if (reserved.includes(name) || blocklists.test(name)) {
+            throw new Error('feature name ' + name + ' of ' + file + ' is reserved');
+          }
+
+          let err = malformed(name, module.default[name]);
+          if (err) {
+            throw new Error(err + ' (' + file + ')');
+          }
+
+          features[name] = module.default[name];
+        });
+    }
+
+    Object
+      .entries(features)
+      .forEach(([name, feature]) => (feature.requires || [])
+        .filter((dependency) => !features[dependency])
+        .forEach((dependency) => {
+          throw new Error('feature ' + name + ' requires feature ' + dependency + ', which is not available');
+        })
+      );
+
+    return features;
+  },
+
+};
@@ -0,0 +1,160 @@
+import fs from 'fs';
+
+import Labels from './Labels.js';
+import Util from './Util.js';
+
+/**
+ * A function to check the URL of an HTTP/S request.
+ * @param {String} value The source or target URL of the request.
+ * @returns {String} Returns the reason in case the URL is invalid or does not use HTTP/S.
+ * Returns ``undefined`` otherwise.
+ */
+const url = (value) => {
+  let protocol;
+  try {
+    protocol = new URL(value).protocol;
+  } catch (err) {
+    return 'invalid URL';
+  }
+
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    return 'non-http scheme';
+  }
+};
+
+/**
+ * @constant
+ * @type {Number}
+ * @desc The maximum number of distinct messages of processing errors printed per run.
+ */
+const maxErrors = 10;
+
+/**
+ * A module to validate the records of the input files before they are processed
+ * (see {@link Wdg.process|``Wdg.process()``}) and to report the skipped records.
+ * @module Records
+ */
+export default {
+
+  /**
+   * A function to validate a record. A record is valid in case it is an object with
+   * - a ``response`` object,
+   * - a target URL and an optional source URL (see {@link module:Util.target|``Util.target()``}
+   *   and {@link module:Util.source|``Util.source()``}) using HTTP or HTTPS,
+   * - an array of ``labels`` (in case ``labels`` is required).
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @param {Boolean} labels Whether the record has to contain ``labels``, i.e., in case
+   * the requests are not labeled with blocklists (see {@link module:Labels.label|``Labels.label()``}).
+   * @returns {String} Returns the reason in case the record is invalid,
+   * i.e., ``invalid record``, ``missing response``, ``invalid URL``, ``non-http scheme``, or ``missing labels``.
+   * Returns ``undefined`` otherwise.
+   */
+  validate(r, labels = true) {
+    if (!r || typeof r !== 'object' || Array.isArray(r)) {
+      return 'invalid record';
+    }
+
+    if (!r.response || typeof r.response !== 'object') {
+      return 'missing response';
+    }
+
+    let target = Util.target(r);
+    if (!target) {
+      return 'invalid URL';
+    }
+
+    let source = Util.source(r);
+    let reason = url(target) || ((source) ? url(source) : undefined);
+    if (reason) {
+      return reason;
+    }
+
+    if (labels && !Array.isArray(r.labels)) {
+      return 'missing labels';
+    }
+  },
+
+  /**
+   * A function to process a record: the record is validated (see {@link module:Records.validate|``Records.validate()``}),
+   * labeled with the blocklists (see {@link module:Labels.label|``Labels.label()``}),
+   * and passed to ``graph.process()`` (see {@link Wdg.process|``Wdg.process()``}).
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @param {Object} graph The graph instance.
+   * @param {Array} blocklists The blocklists created with {@link module:Labels.load|``Labels.load()``}.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @param {Set} errors The messages of the processing errors printed so far in this run.
+   * @returns {String} Returns the reason in case the record is invalid or its processing failed
+   * (``processing error``), i.e., the record is skipped. Returns ``undefined`` otherwise.
+   * The message of a processing error is printed as warning, at most once per message
+   * and for up to {@link module:Records~maxErrors|``maxErrors``} messages per run.
+   * A skipped record leaves no trace in the graph (see {@link Wdg.process|``Wdg.process()``}).
+   */
+  ingest(r, graph, blocklists, options, errors) {
+    let reason = this.validate(r, blocklists.length === 0);
+    if (reason) {
+      return reason;
+    }
+
+    if (blocklists.length > 0) {
+      Labels.label(r, blocklists, options);
+    }
+
+    try {
+      graph.process(r, options);
+    } catch (err) {
+      if (errors.size < maxErrors && !errors.has(err.message)) {
+        errors.add(err.message);
+        console.error('Warning: processing error (' + err.message + ')');
+      }
+      return 'processing error';
+    }
+  },
+
+  /**
+   * A function to create the report of the skipped records.
+   * @param {Number} records The number of records read from the input files.
+   * @param {Object} skipped The number of skipped records by reason.
+   * @returns {Object} Returns the report in the format
+   * ``{ records, processed, skipped, reasons: { reason: count, ... } }``.
+   */
+  report(records, skipped) {
+    let total = Object
+      .values(skipped)
+      .reduce((acc, val) => acc + val, 0);
+
+    return {
+      records,
+      processed: records - total,
+      skipped: total,
+      reasons: { ...skipped },
+    };
+  },
+
+  /**
+   * A function to print the report of the skipped records as warning (in case records were skipped),
+   * and to write the report as JSON in case option ``skippedReport`` is set.
+   * @param {Object} report The report created with {@link module:Records.report|``Records.report()``}.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   */
+  write(report, options) {
+    if (report.skipped > 0) {
+      console.error('Warning: ' + report.skipped + ' of ' + report.records + ' record(s) skipped (' +
+        Object
+          .entries(report.reasons)
+          .map(([reason, count]) => reason + ': ' + count)
+          .join(', ') +
+        ')');
+    }
+
+    if (options.skippedReport) {
+      fs.writeFileSync(options.skippedReport, JSON.stringify(report, null, 2));
+    }
+  },
+
+};
@@ -0,0 +1,312 @@
+import fs from 'fs';
+
+import Export from './Export.js';
+import Util from './Util.js';
+
+/**
+ * @constant
+ * @type {Number}
+ * @desc The number of bins of the feature histograms.
+ */
+const bins = 10;
+
+/**
+ * A function to format a number for the report.
+ * @param {Number} value A number.
+ * @returns {String} The number with at most four decimal places, or ``-`` in case it is empty.
+ */
+const format = (value) => (value === undefined || value === null || Number.isNaN(value))
+  ? '-'
+  : String(Math.round(value * 10000) / 10000);
+
+/**
+ * A function to escape special characters in HTML.
+ * @param {any} value A value of the report.
+ * @returns {String} The escaped value.
+ */
+const escape = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * A function to compute the statistics and the histogram of a node feature.
+ * @param {String} name The name of the feature.
+ * @param {Array} values The values of the feature of all nodes.
+ * @returns {Object} Returns the statistics in the format
+ * ``{ name, nodes, min, max, mean, median, nonZero, histogram: [ { from, to, count }, ... ] }``,
+ * where ``nodes`` is the number of nodes with a numeric value.
+ */
+const describe = (name, values) => {
+  let sorted = values
+    .filter((value) => typeof value === 'number' && Number.isFinite(value))
+    .sort((a, b) => a - b);
+
+  if (sorted.length === 0) {
+    return { name, nodes: 0, nonZero: 0, histogram: [] };
+  }
+
+  let min = sorted[0];
+  let max = sorted[sorted.length - 1];
+  let middle = Math.floor(sorted.length / 2);
+  let width = (max - min) / bins;
+
+  let histogram = (width === 0)
+    ? [{ from: min, to: max, count: sorted.length }]
+    : Array(bins)
+      .fill(0)
+      .map((zero, idx) => ({ from: min + idx * width, to: min + (idx + 1) * width, count: 0 }));
+
+  sorted.forEach((value) => {
+    let idx = (width === 0) ? 0 : Math.min(Math.floor((value - min) / width), bins - 1);
+    histogram[idx].count += 1;
+  });
+
+  return {
+    name,
+    nodes: sorted.length,
+    min,
+    max,
+    mean: sorted.reduce((acc, val) => acc + val, 0) / sorted.length,
+    median: (sorted.length % 2 === 0)
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle],
+    nonZero: sorted.filter((value) => value !== 0).length,
+    histogram,
+  };
+};
+
+/**
+ * A function to create the label of a histogram bin, e.g., ``[0.1, 0.2)``. The last bin is closed.
+ * @param {Object} bin A bin in the format ``{ from, to, count }``.
+ * @param {Boolean} last Whether the bin is the last bin of the histogram.
+ * @returns {String} The label of the bin.
+ */
+const interval = (bin, last) => (bin.from === bin.to)
+  ? '[' + format(bin.from) + ']'
+  : '[' + format(bin.from) + ', ' + format(bin.to) + ((last) ? ']' : ')');
+
+/**
+ * A module to create a summary report of t.ex-graph, i.e., the number of nodes and edges,
+ * the number of read, skipped and discarded records, the top nodes by in-degree and number of requests,
+ * and the statistics and histograms of all numeric node features.
+ * The report is written as self-contained Markdown or HTML file.
+ * @module Report
+ */
+export default {
+
+  /**
+   * @desc An object containing all supported report formats.
+   * Each format consists of the default file ``extension``
+   * and a function ``render(summary)`` that returns the report as string.
+   */
+  formats: {
+
+    /**
+     * Markdown with tables, histograms are drawn as text bars.
+     */
+    md: {
+      extension: '.md',
+      render: (summary) => {
+        let table = (header, rows) => [
+          '| ' + header.join(' | ') + ' |',
+          '| ' + header.map(() => '---').join(' | ') + ' |',
+          ...rows.map((row) => '| ' + row.join(' | ') + ' |'),
+        ].join('\n');
+
+        let sections = [
+          '# t.ex-Graph report',
+          '## Summary',
+          table(['', 'Value'], summary.overview),
+        ];
+
+        if (summary.records) {
+          sections.push('## Records', table(['Records', 'Number'], summary.records));
+        }
+
+        summary.top.forEach((top) => sections.push(
+          '## Top ' + summary.n + ' nodes by ' + top.title,
+          table(['#', 'Node', ...top.columns], top.rows.map((row, idx) => [idx + 1, ...row]))
+        ));
+
+        sections.push(
+          '## Node features',
+          table(
+            ['Feature', 'Nodes', 'Min', 'Mean', 'Median', 'Max', 'Non-zero'],
+            summary.features.map((feature) => [
+              feature.name, feature.nodes, format(feature.min), format(feature.mean),
+              format(feature.median), format(feature.max), feature.nonZero,
+            ])
+          ),
+          '## Histograms'
+        );
+
+        summary.features
+          .filter((feature) => feature.nodes > 0)
+          .forEach((feature) => {
+            let max = Math.max(...feature.histogram.map((bin) => bin.count));
+            let labels = feature.histogram.map((bin, idx) => interval(bin, idx === feature.histogram.length - 1));
+            let padding = Math.max(...labels.map((label) => label.length));
+
+            sections.push(
+              '### ' + feature.name,
+              '```\n' + feature.histogram
+                .map((bin, idx) => [labels[idx].padEnd(padding), '█'.repeat(Math.round(bin.count / max * 40)), bin.count]
+                  .filter((cell) => cell !== '')
+                  .join(' '))
+                .join('\n') + '\n```'
+            );
+          });
+
+        return sections.join('\n\n') + '\n';
+      },
+    },
+
+    /**
+     * HTML with inline styles (no external resources), histograms are drawn as bars.
+     */
+    html: {
+      extension: '.html',
+      render: (summary) => {
+        let table = (header, rows) => '<table><thead><tr>' +
+          header.map((cell) => '<th>' + escape(cell) + '</th>').join('') +
+          '</tr></thead><tbody>' +
+          rows.map((row) => '<tr>' + row.map((cell) => '<td>' + escape(cell) + '</td>').join('') + '</tr>').join('') +
+          '</tbody></table>';
+
+        let sections = [
+          '<h1>t.ex-Graph report</h1>',
+          '<h2>Summary</h2>',
+          table(['', 'Value'], summary.overview),
+        ];
+
+        if (summary.records) {
+          sections.push('<h2>Records</h2>', table(['Records', 'Number'], summary.records));
+        }
+
+        summary.top.forEach((top) => sections.push(
+          '<h2>Top ' + summary.n + ' nodes by ' + escape(top.title) + '</h2>',
+          table(['#', 'Node', ...top.columns], top.rows.map((row, idx) => [idx + 1, ...row]))
+        ));
+
+        sections.push(
+          '<h2>Node features</h2>',
+          table(
+            ['Feature', 'Nodes', 'Min', 'Mean', 'Median', 'Max', 'Non-zero'],
+            summary.features.map((feature) => [
+              feature.name, feature.nodes, format(feature.min), format(feature.mean),
+              format(feature.median), format(feature.max), feature.nonZero,
+            ])
+          ),
+          '<h2>Histograms</h2>'
+        );
+
+        summary.features
+          .filter((feature) => feature.nodes > 0)
+          .forEach((feature) => {
+            let max = Math.max(...feature.histogram.map((bin) => bin.count));
+            sections.push(
+              '<h3>' + escape(feature.name) + '</h3>',
+              '<table class="histogram"><tbody>' + feature.histogram
+                .map((bin, idx) => '<tr><td>' + escape(interval(bin, idx === feature.histogram.length - 1)) + '</td>' +
+                  '<td class="bar"><div style="width:' + format(bin.count / max * 100) + '%"></div></td>' +
+                  '<td>' + bin.count + '</td></tr>')
+                .join('') + '</tbody></table>'
+            );
+          });
+
+        return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>t.ex-Graph report</title>\n' +
+          '<style>' +
+          'body{font-family:sans-serif;margin:2em;color:#222}' +
+          'table{border-collapse:collapse;margin-bottom:1em}' +
+          'th,td{border:1px solid #ccc;padding:.25em .5em;text-align:left}' +
+          '.histogram td{border:none;padding:.1em .5em;font-family:monospace}' +
+          '.bar{width:20em}.bar div{background:#4a7ab7;height:1em}' +
+          '</style>\n</head>\n<body>\n' +
+          sections.join('\n') +
+          '\n</body>\n</html>\n';
+      },
+    },
+
+  },
+
+  /**
+   * A function to summarize a graph.
+   * @param {Object} graph A graph generated with ``graphology`` including the node attributes.
+   * @param {Object} stats The statistics of the records passed by the Controller (see {@link module:Controller.build|``Controller.build()``}).
+   * ``undefined`` in case the graph was loaded from exported graphs.
+   * @param {Object} options Options object passed by ``commander``, i.e., option ``top``.
+   * @returns {Object} Returns the summary, which is rendered by the formats.
+   */
+  summarize(graph, stats, options) {
+    let n = Number(options.top);
+    let edges = graph.reduceEdges((acc, edge, attrs) => {
+      let type = attrs.edgeType || 'request';
+      acc[type] = (acc[type] || 0) + 1;
+      return acc;
+    }, {});
+
+    let nodes = graph.mapNodes((node, attrs) => ({
+      node,
+      attrs,
+      indegree: graph.filterInEdges(node, (edge, attr) => Util.isRequest(attr)).length,
+    }));
+
+    let top = (title, value, columns) => ({
+      title,
+      columns,
+      rows: [...nodes]
+        .sort((a, b) => (value(b) - value(a)) || a.node.localeCompare(b.node))
+        .slice(0, n)
+        .map((entry) => [entry.node, entry.indegree, format(entry.attrs.count), format(entry.attrs.tracking)]),
+    });
+
+    return {
+      n,
+      overview: [
+        ['Nodes', graph.order],
+        ...Object
+          .entries(edges)
+          .map(([type, count]) => ['Edges (' + type + ')', count]),
+        ['Nodes with tracking > 0', nodes.filter((entry) => entry.attrs.tracking > 0).length],
+      ],
+      records: (stats)
+        ? [
+          ['Read', stats.records],
+          ['Processed', stats.processed],
+          ...Object
+            .entries(stats.reasons)
+            .map(([reason, count]) => ['Skipped (' + reason + ')', count]),
+          ...Object
+            .entries(stats.discarded || {})
+            .map(([reason, count]) => ['Discarded (' + reason + ')', count]),
+        ]
+        : undefined,
+      top: [
+        top('in-degree', (entry) => entry.indegree, ['In-degree', 'Requests', 'tracking']),
+        top('requests', (entry) => entry.attrs.count || 0, ['In-degree', 'Requests', 'tracking']),
+      ],
+      features: Export
+        .schema(graph, 'node')
+        .filter((attr) => attr.type === 'integer' || attr.type === 'double')
+        .map((attr) => describe(attr.name, nodes.map((entry) => entry.attrs[attr.name]))),
+    };
+  },
+
+  /**
+   * A function to write the report of a graph in the format selected with option ``format``.
+   * @param {Object} graph A graph generated with ``graphology`` including the node attributes.
+   * @param {Object} stats The statistics of the records (see {@link module:Report.summarize|``Report.summarize()``}).
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   */
+  write(graph, stats, options) {
+    let format = this.formats[options.format || 'md'];
+    fs.writeFileSync(
+      options.output || 'report' + format.extension,
+      format.render(this.summarize(graph, stats, options))
+    );
+  },
+
+};
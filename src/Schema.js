@@ -0,0 +1,138 @@
+/**
+ * @constant
+ * @type {Array}
+ * @desc The supported attribute types (as in GEXF).
+ */
+const types = ['integer', 'double', 'boolean', 'string', 'liststring'];
+
+/**
+ * @constant
+ * @type {Object}
+ * @desc The metadata of node and edge attributes that are not computed by features,
+ *       i.e., the centrality metrics (see {@link module:Centrality|``Centrality``}),
+ *       the prediction of a classifier (see {@link module:Classifier.predict|``Classifier.predict()``}),
+ *       the layout (see {@link module:Layout|``Layout``}), and the type of an edge.
+ *       These attributes are only part of the schema in case they exist in the graph.
+ */
+const attributes = {
+  node: {
+    pagerank: { type: 'double', description: 'PageRank' },
+    hub: { type: 'double', description: 'HITS hub score' },
+    authority: { type: 'double', description: 'HITS authority score' },
+    betweenness: { type: 'double', description: 'Betweenness centrality' },
+    closeness: { type: 'double', description: 'Closeness centrality' },
+    eigenvector: { type: 'double', description: 'Eigenvector centrality' },
+    weightedInDegree: { type: 'double', description: 'Weighted in-degree' },
+    weightedOutDegree: { type: 'double', description: 'Weighted out-degree' },
+    predictedTrackerScore: { type: 'double', description: 'Predicted tracker score' },
+    predictedTracker: { type: 'integer', description: 'Predicted tracker label (0 or 1)' },
+    x: { type: 'double', description: 'Layout position x' },
+    y: { type: 'double', description: 'Layout position y' },
+    size: { type: 'double', description: 'Layout node size' },
+    color: { type: 'string', description: 'Layout node color' },
+  },
+  edge: {
+    edgeType: { type: 'string', description: 'Edge type (request, redirect or idSharing)' },
+  },
+};
+
+/**
+ * @constant
+ * @type {WeakMap}
+ * @desc The feature objects used to compute the attributes of a graph (by graph).
+ */
+const registry = new WeakMap();
+
+/**
+ * A function to create an attribute of the schema.
+ * @param {String} name The name of the attribute.
+ * @param {String} type The type of the attribute.
+ * @param {any} value The default value of the attribute (optional).
+ * @param {String} description A human-readable description of the attribute (optional).
+ * @returns {Object} The attribute in the format ``{ name, type, default, title }``.
+ * The title is the description, or the name in case there is no description.
+ */
+const attribute = (name, type, value, description) => ({
+  name,
+  type,
+  default: value,
+  title: description || name,
+});
+
+/**
+ * A module to describe the node and edge attributes of t.ex-graph with the metadata
+ * of the features (see {@link module:Features|``Features``}), i.e., each feature object declares
+ * the ``type``, the ``default`` value and a ``description`` of its node attribute.
+ * The description is used as title of the node attribute. The edge attributes are the raw accumulators
+ * of the features and titled with their names. Their type is declared with ``accumulator`` and defaults to
+ * ``liststring`` for features implementing ``init()`` (see {@link module:Features~distinct|``distinct()``})
+ * and ``integer`` otherwise.
+ * The schema is used by the exporters (see {@link module:Export.schema|``Export.schema()``})
+ * instead of inferring the types from the values.
+ * @module Schema
+ */
+export default {
+
+  /**
+   * @desc The supported attribute types.
+   */
+  types,
+
+  /**
+   * @desc The metadata of attributes that are not computed by features.
+   * See {@link module:Schema~attributes|``attributes``} for more details.
+   */
+  attributes,
+
+  /**
+   * A function to register the feature objects used to compute the attributes of a graph.
+   * @param {Object} graph A graph generated with ``graphology``.
+   * @param {Object} features The feature objects.
+   * @returns {Object} The graph.
+   */
+  register(graph, features) {
+    registry.set(graph, features);
+    return graph;
+  },
+
+  /**
+   * A function to create the declared schema of the nodes or edges of a graph.
+   * The attributes of all features are listed in the order of the features,
+   * followed by the other attributes (see {@link module:Schema~attributes|``attributes``})
+   * that exist in the graph. Features without declared type are omitted.
+   * @param {Object} graph A graph generated with ``graphology``.
+   * @param {String} type Either ``node`` or ``edge``.
+   * @returns {Array} Returns the schema in the format:
+   * ```json
+   * [ { name: "tracking", type: "double", default: 0, title: "Ratio of tracking requests" }, ... ]
+   * ```
+   * Returns ``undefined`` in case the graph was not registered.
+   */
+  declared(graph, type) {
+    let features = registry.get(graph);
+    if (!features) {
+      return undefined;
+    }
+
+    let present = new Set();
+    let iterate = (type === 'node')
+      ? graph.forEachNode.bind(graph)
+      : graph.forEachEdge.bind(graph);
+    iterate((key, attrs) => Object.keys(attrs).forEach((name) => present.add(name)));
+
+    return [
+      ...Object
+        .entries(features)
+        .filter(([name, feature]) => feature.type)
+        .map(([name, feature]) => (type === 'node')
+          ? attribute(name, feature.type, feature.default, feature.description)
+          : attribute(name, feature.accumulator || ((feature.init) ? 'liststring' : 'integer'))
+        ),
+      ...Object
+        .entries(attributes[type])
+        .filter(([name]) => present.has(name) && !features[name])
+        .map(([name, meta]) => attribute(name, meta.type, undefined, meta.description)),
+    ];
+  },
+
+};
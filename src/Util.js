@@ -1,8 +1,7 @@
 import fs from 'fs';
-import { dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
+import { join, resolve } from 'path';
+import pkg from 'tldjs';
+const { getDomain } = pkg;
 
 /**
  * A module for utility functions.
@@ -69,10 +68,10 @@ export default {
    * Returns ``undefined`` in case header with ``name === key`` is not present.
    */
   header(headers, key) {
-    if (!headers) {
+    if (!Array.isArray(headers)) {
       headers = [];
     }
-    return headers.find((h) => h.name.toLowerCase() === key.toLowerCase())
+    return headers.find((h) => h && typeof h.name === 'string' && h.name.toLowerCase() === key.toLowerCase())
   },
 
   /**
@@ -159,17 +158,130 @@ export default {
     }    
   },
 
+  /**
+   * A function to extract the redirect URL of an HTTP/S request.
+   * The function will use the ``redirectUrl`` property of the response and falls back
+   * to the ``Location`` header in case the status code of the response is 3xx.
+   * Relative redirect URLs are resolved against the URL of the request.
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface. 
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRedirect|webRequest.onBeforeRedirect()}
+   * for more details.
+   * @returns {String} Returns the absolute redirect URL as string. Returns ``undefined``
+   * in case the request was not redirected.
+   */
+  redirect(r) {
+    let response = r.response || {};
+    let status = Number(response.statusCode);
+    let location = response.redirectUrl;
+
+    if (!location && status >= 300 && status < 400) {
+      let header = this.header(response.responseHeaders, 'location');
+      location = (header) ? header.value : undefined;
+    }
+
+    if (!location) {
+      return;
+    }
+
+    try {
+      return new URL(location, this.target(r)).href;
+    } catch (err) {
+      return undefined;
+    }
+  },
+
+  /**
+   * A function to check whether an edge of t.ex-graph represents HTTP/S requests.
+   * Edges without ``edgeType`` (i.e., generated before redirect edges were introduced)
+   * are request edges as well.
+   * @param {Object} attrs The attributes of an edge.
+   * @returns {Boolean} Returns ``false`` in case the edge is a redirect edge.
+   */
+  isRequest: (attrs) =>
+    !attrs.edgeType || attrs.edgeType === 'request',
+
+  /**
+   * A function to extract the URL of the top-level page of an HTTP/S request.
+   * The top-level page is the first available of:
+   * 1. ``topLevelUrl`` (set by input adapters that know the visited page, e.g., OpenWPM),
+   * 2. the last entry of ``frameAncestors`` (Firefox),
+   * 3. ``url`` in case of a ``main_frame`` request,
+   * 4. the source of the request (see {@link module:Util.source|``Util.source()``}).
+   * **NOTE:** Without ``topLevelUrl`` or ``frameAncestors``, the page of requests
+   * issued by subframes is the page of the subframe.
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface. 
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @returns {String} Returns the URL of the top-level page. Returns ``undefined``
+   * in case no page could be extracted.
+   */
+  page(r) {
+    let ancestors = (Array.isArray(r.frameAncestors)) ? r.frameAncestors : [];
+    return r.topLevelUrl ||
+      (ancestors.length > 0 && ancestors[ancestors.length - 1].url) ||
+      (r.type === 'main_frame' && this.target(r)) ||
+      this.source(r) ||
+      undefined;
+  },
+
+  /**
+   * A function to extract the first-party site of an HTTP/S request, i.e., the
+   * {@link https://en.wikipedia.org/wiki/Second-level_domain|SLD} of the top-level page
+   * (see {@link module:Util.page|``Util.page()``}).
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface. 
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @returns {String} Returns the SLD of the top-level page. Returns ``undefined``
+   * in case no site could be extracted.
+   */
+  site(r) {
+    try {
+      return getDomain(new URL(this.page(r)).hostname) || undefined;
+    } catch (err) {
+      return undefined;
+    }
+  },
+
+  /**
+   * A function to extract the body of an HTTP/S request as string.
+   * Supports the ``requestBody`` of the ``webRequest`` interface (``formData``, or ``raw``
+   * as array of ``{ bytes }`` in case the bytes were exported as string) and the ``raw``
+   * string set by the input adapters (e.g., for HAR files).
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface. 
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @returns {String} Returns the body. Returns an empty string in case no body is present.
+   */
+  body(r) {
+    let body = r.requestBody;
+    if (!body) {
+      return '';
+    } else if (typeof body.raw === 'string') {
+      return body.raw;
+    } else if (Array.isArray(body.raw)) {
+      return body.raw
+        .filter((part) => part && typeof part.bytes === 'string')
+        .map((part) => part.bytes)
+        .join('');
+    } else if (body.formData) {
+      return Object
+        .keys(body.formData)
+        .map((key) => key + '=' + [].concat(body.formData[key]).join(','))
+        .join('&');
+    }
+    return '';
+  },
+
   /**
    * A function to check whether an absolute or relative path exists.
+   * Relative paths are resolved against the current working directory only.
    * @param {String} dir A given path as string.
    * @returns {String} Returns the path in case it exists. Returns ``null`` otherwise.
    */
   path(dir) {
-    return (fs.existsSync(dir)) 
+    return (fs.existsSync(resolve(process.cwd(), dir)))
       ? dir
-      : (fs.existsSync(__dirname + '/' + dir))
-        ? rel // TODO: not defined
-        : null;    
+      : null;
   },
 
   /**
@@ -186,14 +298,28 @@ export default {
 
   /**
    * A function to read the contents of a directory and to
-   * extract all files with the file extension ``*.json``.
+   * extract all files with the given file extensions (``*.json`` by default).
    * @param {String} path A given path as string.
-   * @returns {Array} Returns all JSON files contained in ``path``.
+   * @param {Array} extensions The file extensions of the files to extract.
+   * @param {Boolean} recursive Whether subdirectories are traversed as well.
+   * @returns {Array} Returns all matching files contained in ``path`` (relative to ``path``).
    */
-  batches(path) {
+  batches(path, extensions = ['.json'], recursive = false) {
     return fs
-      .readdirSync(path)
-      .filter((file) => file.endsWith('.json'));
+      .readdirSync(path, { withFileTypes: true })
+      .reduce((acc, entry) => {
+        if (entry.isDirectory() && recursive) {
+          return acc.concat(
+            this
+              .batches(join(path, entry.name), extensions, recursive)
+              .map((file) => join(entry.name, file))
+          );
+        } else if (!entry.isDirectory() &&
+            extensions.some((ext) => entry.name.toLowerCase().endsWith(ext))) {
+          return acc.concat([entry.name]);
+        }
+        return acc;
+      }, []);
   },
 
 };
\ No newline at end of file
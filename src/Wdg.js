@@ -1,9 +1,12 @@
 import Graph from 'graphology';
 import validator from 'validator';
-import pkg from 'tldjs';
-const { getDomain } = pkg;
 
-import Features from "./Features.js";
+import Features, { blocklists } from "./Features.js";
+import Centrality from "./Centrality.js";
+import Entities from "./Entities.js";
+import Identifiers from "./Identifiers.js";
+import Plugins from "./Plugins.js";
+import Schema from "./Schema.js";
 import Util from "./Util.js";
 
 const urlOptions = { 
@@ -11,15 +14,94 @@ const urlOptions = {
   require_protocol: true,
 };
 
-let counter = 0;
+/**
+ * A function to create the key of an edge. Edges are keyed by their type,
+ * since a request edge, a redirect edge and an ID sharing edge may connect the same nodes.
+ * @param {String} type The type of the edge, i.e., ``request``, ``redirect`` or ``idSharing``.
+ * @param {String} source The domain name of the source node.
+ * @param {String} target The domain name of the target node.
+ * @returns {String} The key of the edge, e.g., ``request:example.com->tracker.com``.
+ */
+const edgeKey = (type, source, target) => type + ':' + source + '->' + target;
+
+/**
+ * A function to convert the sets of an attributes object to arrays (see {@link module:Features~distinct|``distinct()``}),
+ * e.g., to serialize the edge attributes as JSON.
+ * @param {Object} attrs The attributes of an edge.
+ * @returns {Object} A copy of the attributes with arrays instead of sets.
+ */
+const plain = (attrs) => Object
+  .entries(attrs)
+  .reduce((acc, [key, val]) => {
+    acc[key] = (val instanceof Set) ? [...val] : val;
+    return acc;
+  }, {});
+
+/**
+ * A function to map the source and target URL of an HTTP/S request (or a redirect)
+ * to the names of the source and target node. The mapping includes the following steps:
+ * 1. Check whether ``source`` and ``target`` are valid URLs using
+ * {@link https://www.npmjs.com/package/validator|``validator``}.
+ * 2. Extract the FQDNs of ``source`` and ``target``.
+ * 3. Extract the owners of ``source`` and ``target``, i.e., their SLDs or organizations
+ * (see {@link module:Entities.owner|``Entities.owner()``}).
+ * 4. Determine whether the request is a first-party or third-party request, i.e., whether
+ *    ``source`` and ``target`` have the same owner.
+ *    Discard all first-party requests unless option ``firstParty === true``.
+ * 5. In case option ``sld === true`` or option ``entity`` is set, use the owners of ``source`` and ``target``
+ *    as the node names. Use the FQDNs of ``source`` and ``target`` otherwise.
+ * @param {String} source The source URL.
+ * @param {String} target The target URL.
+ * @param {Object} options Options object passed by ``commander``.
+ * @returns {Array} Returns ``[source, target, isFirstParty]``. Returns the reason (``invalid URL`` or ``first-party``)
+ * as string in case the URLs are invalid or the request is a discarded first-party request.
+ */
+const nodes = (source, target, options) => {
+  // We only process requests that have valid URLs for source and target
+  if (!validator.isURL(new String(source), urlOptions) ||
+      !validator.isURL(new String(target), urlOptions)) {
+        return 'invalid URL';
+      }
+
+  source = new URL(source).hostname;
+  target = new URL(target).hostname;
+
+  let ownerSource = Entities.owner(source, options);
+  let ownerTarget = Entities.owner(target, options);
+  let isFp = ownerSource === ownerTarget;
+
+  // We only process third-party requests (!)
+  // We deem all first-party requests as benign,
+  // thus, neglecting any first-party tracking.
+  if (isFp && !options.firstParty) {
+    return 'first-party';
+  }
+
+  if (options.sld || options.entity) {
+    source = ownerSource;
+    target = ownerTarget;
+  }
+
+  return [source, target, isFp];
+};
 
 /**
  * @class Wdg
  * @desc Class ``Wdg`` which stands for weighted directed graph.
+ * @param {Object} features The feature objects used to compute edge and node attributes.
+ * Defaults to the built-in {@link module:Features|``Features``}
+ * (see {@link module:Plugins.load|``Plugins.load()``} to extend or trim the built-in features).
+ * The tracking features of blocklists are added while processing the requests
+ * (see {@link Wdg.register|``Wdg.register()``}).
+ * @param {Object} options Options object passed by ``commander``, used to select the tracking features
+ * of blocklists with option ``onlyFeatures`` or ``excludeFeatures`` (see {@link module:Plugins.selected|``Plugins.selected()``}).
+ * See {@link https://www.npmjs.com/package/commander#options} for more details.
  * @returns {Object} A graph generated with ``graphology``.
  * See {@link https://www.npmjs.com/package/graphology|graphology} for more details.
  */
-export default function() {
+export default function(features = Features, options = {}) {
+
+  features = { ...features };
 
   /**
    * @constant
@@ -28,7 +110,159 @@ export default function() {
    * @memberof Wdg
    * @desc Instance of a class ``Graph`` from ``graphology``. 
    */
-  const graph = new Graph();
+  const graph = new Graph({ multi: true });
+
+  /**
+   * @constant
+   * @type {Map}
+   * @memberof Wdg
+   * @desc The pending redirects of all redirect chains, i.e., the URL of the last
+   * redirected request and the redirect URL, keyed by ``tabId`` and ``requestId``.
+   */
+  const chains = new Map();
+
+  /**
+   * @constant
+   * @type {Map}
+   * @memberof Wdg
+   * @desc The identifier candidates sent so far, keyed by their value. For each candidate
+   * the number of requests, the number of requests per node it was sent to (in order of appearance),
+   * and the number of requests per node already added as ID sharing edges are stored.
+   */
+  const ids = new Map();
+
+  /**
+   * @constant
+   * @type {Object}
+   * @memberof Wdg
+   * @desc The number of discarded requests by reason, i.e., ``invalid URL`` or ``first-party``
+   * (see {@link Wdg~nodes|``nodes()``}).
+   */
+  const discarded = {};
+
+  /**
+   * @function
+   * @memberof Wdg
+   * @desc A function to create the initial accumulator value of a feature,
+   * i.e., the result of its ``init()`` or 0 in case ``init()`` is not defined.
+   * @param {String} feature The name of the feature.
+   * @returns {any} The initial accumulator value.
+   */
+  const initial = (feature) => (features[feature].init)
+    ? features[feature].init()
+    : 0;
+
+  /**
+   * @function
+   * @memberof Wdg
+   * @desc A function to combine two values of an edge attribute using ``accumulate()`` of the feature,
+   * or by summing them in case ``accumulate()`` is not defined. ``undefined`` and ``null`` are ignored.
+   * @param {String} key The name of the edge attribute.
+   * @param {any} x The current value of the edge attribute.
+   * @param {any} y The value to combine with the current value.
+   * @returns {any} The combined value.
+   */
+  const combine = (key, x, y) => {
+    if (x === undefined || x === null) {
+      return y;
+    } else if (y === undefined || y === null) {
+      return x;
+    } else if (features[key] && features[key].accumulate) {
+      return features[key].accumulate(x, y);
+    } else {
+      return x + y;
+    }
+  };
+
+  /**
+   * @function
+   * @memberof Wdg
+   * @desc A function to extract the edge attributes of an HTTP/S request, i.e., the results of ``extract()``
+   * for the initial accumulator values (see {@link Wdg~initial|``initial()``}). The graph instance is not changed,
+   * the attributes are combined with the attributes of an existing edge in {@link Wdg.addEdge|``Wdg.addEdge()``}.
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @param {Object} pending Feature objects which are registered once the request is processed,
+   * i.e., the tracking features of blocklists not seen so far.
+   * @returns {Object} The edge attributes keyed by the names of the features.
+   */
+  const extract = (r, pending = {}) => {
+    let all = { ...features, ...pending };
+    return Object
+      .keys(all)
+      .reduce((acc, val) => {
+        acc[val] = all[val].extract(r, (all[val].init) ? all[val].init() : 0);
+        return acc;
+      }, {});
+  };
+
+  /**
+   * @function
+   * @memberof Wdg
+   * @desc A function to check whether the tracking feature of a blocklist has to be added,
+   * i.e., it does not exist yet and is selected (see {@link module:Plugins.selected|``Plugins.selected()``}).
+   * @param {String} name The name of the feature, e.g., ``trackingEasyList``.
+   * @returns {Boolean}
+   */
+  const missing = (name) => !features[name] && Plugins.selected(name, options);
+
+  /**
+   * @function
+   * @memberof Wdg
+   * @desc A function to look up the redirect chain of an HTTP/S request without changing it
+   * (see {@link Wdg.follow|``Wdg.follow()``}).
+   * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+   * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+   * for more details.
+   * @returns {Object} Returns ``{ key, url, redirectedFrom, redirect }``, where ``redirectedFrom`` is the URL of
+   * the redirected request in case a pending redirect pointed to ``r``, and ``redirect`` the redirect URL of ``r``.
+   * Returns ``undefined`` in case ``r`` has no ``requestId``.
+   */
+  const lookup = (r) => {
+    if (r.requestId === undefined || r.requestId === null) {
+      return;
+    }
+
+    let key = JSON.stringify([r.tabId, r.requestId]);
+    let url = Util.target(r);
+    let pending = chains.get(key);
+
+    return {
+      key,
+      url,
+      redirectedFrom: (pending && pending.to === url) ? pending.from : undefined,
+      redirect: Util.redirect(r),
+    };
+  };
+
+  /**
+   * @function
+   * @memberof Wdg
+   * @desc A function to bound the number of identifier candidates kept in memory (and in checkpoints),
+   * since most candidates (e.g., cache busters and nonces) are sent only once.
+   * In case there are more than ``Identifiers.thresholds.maxCandidates`` candidates, the oldest candidates
+   * sent to a single node are evicted until 90% of the limit is reached, followed by the oldest candidates
+   * in case this is not sufficient. Evicted candidates sent again are recorded as new candidates.
+   */
+  const prune = () => {
+    let limit = Identifiers.thresholds.maxCandidates;
+    if (ids.size <= limit) {
+      return;
+    }
+
+    let target = Math.floor(limit * 0.9);
+    [(id) => id.nodes.size === 1, () => true].forEach((evictable) => {
+      for (let [value, id] of ids) {
+        if (ids.size <= target) {
+          return;
+        }
+        if (evictable(id)) {
+          ids.delete(value);
+        }
+      }
+    });
+  };
 
   return {
 
@@ -80,35 +314,178 @@ export default function() {
      * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface. 
      * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
      * for more details.
+     * @param {Object} values The edge attributes extracted from ``r`` (see {@link Wdg~extract|``extract()``}).
+     * In case the edge already exists, they are combined with its attributes (see {@link Wdg~combine|``combine()``}).
      */
-    addEdge(source, target, r) {
-      if (!graph.hasEdge(source, target)) {
-        
-        let attrs = Object
-          .keys(Features)
-          .reduce((acc, val) => {
-            acc[val] = Features[val].extract(r, 0);
-            return acc;
-          }, {})
+    addEdge(source, target, r, values = extract(r)) {
+      let key = edgeKey('request', source, target);
 
-        graph.addEdge(source, target, attrs);
+      if (!graph.hasEdge(key)) {
+        
+        graph.addEdgeWithKey(key, source, target, { ...values, edgeType: 'request' });
 
       } else {
         
-        graph.updateEdge(source, target, (attr) => {
+        graph.updateEdgeAttributes(key, (attr) => {
           let attrs = Object
-            .keys(Features)
+            .keys(values)
             .reduce((acc, val) => {
-              acc[val] = Features[val].extract(r, attr[val]);
+              acc[val] = combine(val, attr[val], values[val]);
               return acc;
             }, {})
 
-          return attrs;
+          return { ...attrs, edgeType: 'request' };
         });
 
       }
     },
 
+    /**
+     * Adds a redirect edge from ``source`` to ``target`` to the graph instance, or increments
+     * the number of redirects (``count``) in case the edge already exists.
+     * Redirect edges have the attribute ``edgeType === 'redirect'`` and are not considered
+     * when computing the node attributes and centrality metrics.
+     * @memberof Wdg
+     * @param {String} source The domain name of the node that redirected.
+     * @param {String} target The domain name of the node that was redirected to.
+     */
+    addRedirect(source, target) {
+      let key = edgeKey('redirect', source, target);
+
+      if (!graph.hasEdge(key)) {
+        graph.addEdgeWithKey(key, source, target, { count: 1, edgeType: 'redirect' });
+      } else {
+        graph.updateEdgeAttribute(key, 'count', (count) => count + 1);
+      }
+    },
+
+    /**
+     * Adds an ID sharing edge from ``source`` to ``target`` to the graph instance, or increases
+     * the number of requests sharing an identifier (``count``) in case the edge already exists.
+     * ID sharing edges have the attribute ``edgeType === 'idSharing'`` and are not considered
+     * when computing the node attributes and centrality metrics.
+     * @memberof Wdg
+     * @param {String} source The domain name of the node an identifier was sent to first.
+     * @param {String} target The domain name of the node the identifier was shared with.
+     * @param {Number} count The number of requests sharing the identifier. Defaults to 1.
+     */
+    addIdSharing(source, target, count = 1) {
+      let key = edgeKey('idSharing', source, target);
+
+      if (!graph.hasEdge(key)) {
+        graph.addEdgeWithKey(key, source, target, { count, edgeType: 'idSharing' });
+      } else {
+        graph.updateEdgeAttribute(key, 'count', (value) => value + count);
+      }
+    },
+
+    /**
+     * A method to record the identifier candidates of an HTTP/S request
+     * (see {@link module:Identifiers.candidates|``Identifiers.candidates()``}) for ``node``.
+     * The ID sharing edges are added when computing the node attributes
+     * (see {@link Wdg.share|``Wdg.share()``}).
+     * @memberof Wdg
+     * @param {String} node The domain name of the target node of ``r``.
+     * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+     * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+     * for more details.
+     * @param {Array} candidates The identifier candidates of ``r``, in case they are already retrieved.
+     */
+    identify(node, r, candidates = Identifiers.candidates(r)) {
+      candidates.forEach((value) => this.mergeIdentifiers([[value, [[node, 1]]]]));
+    },
+
+    /**
+     * A method to retrieve the identifier candidates recorded so far, e.g., to merge them
+     * into another graph instance using {@link Wdg.mergeIdentifiers|``Wdg.mergeIdentifiers()``}.
+     * @memberof Wdg
+     * @returns {Array} Returns the candidates in the format
+     * ``[ [value, [ [node, requests], ... ]], ... ]`` in order of appearance.
+     */
+    identifiers() {
+      return [...ids].map(([value, id]) => [value, [...id.nodes]]);
+    },
+
+    /**
+     * A method to merge identifier candidates into the graph instance.
+     * The candidates are appended in order, i.e., the node a candidate was sent to first is kept.
+     * The number of candidates is bounded afterwards (see {@link Wdg~prune|``prune()``}).
+     * **NOTE:** The candidates of a graph instance that already added its ID sharing edges
+     * (see {@link Wdg.share|``Wdg.share()``}) must not be merged together with its edges.
+     * @memberof Wdg
+     * @param {Array} entries The candidates created with {@link Wdg.identifiers|``Wdg.identifiers()``}.
+     */
+    mergeIdentifiers(entries) {
+      entries.forEach(([value, nodes]) => {
+        if (!ids.has(value)) {
+          ids.set(value, { requests: 0, nodes: new Map(), shared: new Map() });
+        }
+
+        let id = ids.get(value);
+        nodes.forEach(([node, count]) => {
+          id.requests += count;
+          id.nodes.set(node, (id.nodes.get(node) || 0) + count);
+        });
+      });
+
+      prune();
+    },
+
+    /**
+     * A method to add the ID sharing edges, e.g., by cookie syncing.
+     * A candidate is deemed an identifier in case it has been sent in at least
+     * ``Identifiers.thresholds.minRequests`` requests. The requests sending an identifier
+     * to another node than the node it was sent to first are added as ID sharing edges
+     * using {@link Wdg.addIdSharing|``Wdg.addIdSharing()``}. Requests already added are skipped,
+     * so that this method can be called several times.
+     * @memberof Wdg
+     */
+    share() {
+      ids.forEach((id) => {
+        if (id.requests < Identifiers.thresholds.minRequests) {
+          return;
+        }
+
+        let [origin] = id.nodes.keys();
+        id.nodes.forEach((count, node) => {
+          let pending = count - (id.shared.get(node) || 0);
+          if (node !== origin && pending > 0) {
+            this.addIdSharing(origin, node, pending);
+            id.shared.set(node, count);
+          }
+        });
+      });
+    },
+
+    /**
+     * A method to follow the redirect chain of an HTTP/S request.
+     * Redirected requests share the ``requestId`` of the original request.
+     * In case ``r`` is the request a pending redirect of its chain pointed to,
+     * the URL of the redirected request is stored in ``r.redirectedFrom``.
+     * In case ``r`` is redirected itself (see {@link module:Util.redirect|``Util.redirect()``}),
+     * the redirect is stored as pending redirect of its chain.
+     * **NOTE:** The requests of a chain are expected in the order they were sent.
+     * @memberof Wdg
+     * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface.
+     * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
+     * for more details.
+     * @param {Object} chain The redirect chain of ``r``, in case it is already looked up (see {@link Wdg~lookup|``lookup()``}).
+     */
+    follow(r, chain = lookup(r)) {
+      if (!chain) {
+        return;
+      }
+
+      if (chain.redirectedFrom) {
+        r.redirectedFrom = chain.redirectedFrom;
+        chains.delete(chain.key);
+      }
+
+      if (chain.redirect) {
+        chains.set(chain.key, { from: chain.url, to: chain.redirect });
+      }
+    },
+
     /**
      * A function to retrieve a specific edge between ``source`` and ``target``.
      * @memberof Wdg
@@ -124,28 +501,137 @@ export default function() {
      * or 
      * {@link https://en.wikipedia.org/wiki/Second-level_domain|SLD}
      * ).
-     * @returns {Object} Returns the requested edge in case it exists. Returns ``undefined`` otherwise.
+     * @returns {Object} Returns the requested request edge in case it exists. Returns ``undefined`` otherwise.
      */
     getEdge(source, target) {
-      return graph.edge(source, target);
+      let key = edgeKey('request', source, target);
+      return (graph.hasEdge(key)) ? key : undefined;
+    },
+
+    /**
+     * A method to merge a previously generated graph into the graph instance.
+     * Nodes are added if missing. Edges are added if missing, otherwise the
+     * edge attributes (i.e., the raw values computed by ``extract()``) are combined
+     * using ``accumulate()`` of the feature or summed in case ``accumulate()`` is not defined.
+     * Edges without ``edgeType`` (i.e., generated before redirect edges were introduced)
+     * are merged as request edges. The tracking features of blocklists found in the edge
+     * attributes are added using {@link Wdg.register|``Wdg.register()``}.
+     * **NOTE:** The node attributes have to be recomputed afterwards using
+     * {@link Wdg.attributes|``Wdg.attributes()``}.
+     * @memberof Wdg
+     * @param {Object} other A graph generated with ``graphology``,
+     * e.g., read with {@link module:Import.read|``Import.read()``}.
+     */
+    merge(other) {
+      other.forEachNode((node) => this.addNode(node, { label: node }));
+
+      other.forEachEdge((edge, attrs, source, target) => {
+        Object
+          .keys(attrs)
+          .filter((key) => blocklists.test(key))
+          .forEach((key) => this.register(key));
+
+        let type = attrs.edgeType || 'request';
+        let key = edgeKey(type, source, target);
+
+        if (!graph.hasEdge(key)) {
+          graph.addEdgeWithKey(key, source, target, { ...attrs, edgeType: type });
+        } else {
+          graph.updateEdgeAttributes(key, (attr) => Object
+            .keys({ ...attr, ...attrs })
+            .reduce((acc, key) => {
+              acc[key] = (key === 'edgeType')
+                ? attr[key] || attrs[key]
+                : combine(key, attr[key], attrs[key]);
+              return acc;
+            }, {})
+          );
+        }
+      });
+    },
+
+    /**
+     * A method to retrieve the number of requests discarded while processing, by reason.
+     * @memberof Wdg
+     * @returns {Object} Returns the number of requests by reason, e.g., ``{ 'first-party': 120 }``.
+     */
+    discarded() {
+      return { ...discarded };
+    },
+
+    /**
+     * A method to retrieve the state of the graph instance while processing requests,
+     * i.e., the graph, the identifier candidates (see {@link Wdg.identifiers|``Wdg.identifiers()``}),
+     * the pending redirects of all redirect chains, and the number of discarded requests.
+     * **NOTE:** The state has to be retrieved before the node attributes are computed.
+     * @memberof Wdg
+     * @returns {Object} Returns the state in the format ``{ graph, identifiers, chains, discarded }``,
+     * which can be serialized as JSON.
+     */
+    checkpoint() {
+      let exported = graph.export();
+      exported.edges.forEach((edge) => edge.attributes = plain(edge.attributes));
+
+      return {
+        graph: exported,
+        identifiers: this.identifiers(),
+        chains: [...chains],
+        discarded: this.discarded(),
+      };
+    },
+
+    /**
+     * A method to restore the state of a graph instance created with {@link Wdg.checkpoint|``Wdg.checkpoint()``},
+     * e.g., to resume a conversion or to merge the partial graph of a worker.
+     * The graph is merged into the graph instance using {@link Wdg.merge|``Wdg.merge()``},
+     * the identifier candidates are appended, and the numbers of discarded requests are summed.
+     * @memberof Wdg
+     * @param {Object} state The state in the format ``{ graph, identifiers, chains, discarded }``.
+     */
+    restore(state) {
+      this.merge(Graph.from(state.graph));
+      this.mergeIdentifiers(state.identifiers);
+      state.chains.forEach(([key, pending]) => chains.set(key, pending));
+      Object
+        .entries(state.discarded || {})
+        .forEach(([reason, count]) => discarded[reason] = (discarded[reason] || 0) + count);
+    },
+
+    /**
+     * A method to add the tracking feature of a blocklist, in case it does not exist yet and is not
+     * excluded with option ``onlyFeatures`` or ``excludeFeatures`` (see {@link module:Features.blocklists|``Features.blocklists``}
+     * and {@link Wdg~missing|``missing()``}).
+     * Edges created before the feature was added are treated as if the value of the feature
+     * was the initial accumulator value.
+     * @memberof Wdg
+     * @param {String} name The name of the feature, e.g., ``trackingEasyList``.
+     */
+    register(name) {
+      if (missing(name)) {
+        features[name] = blocklists.feature(name);
+      }
     },
 
     /**
      * A method to process a single HTTP/S request from the dataset. 
+     * All values are computed before the graph instance is changed, i.e., in case the processing
+     * throws an error (e.g., an invalid URL), the request leaves no trace in the graph.
      * The processing includes the following steps:
-     * 1. Extract ``source`` and ``target`` using 
+     * 1. Add the tracking features of the blocklists in the ``labels`` of ``r``
+     *    using {@link Wdg.register|``Wdg.register()``}, and follow the redirect chain of ``r``
+     *    using {@link Wdg.follow|``Wdg.follow()``}.
+     * 2. In case ``r`` is redirected (see {@link module:Util.redirect|``Util.redirect()``}),
+     *    add a redirect edge from the node of ``r`` to the node of the redirect URL using
+     *    {@link Wdg.addRedirect|``Wdg.addRedirect()``}. Redirects within the same node are discarded.
+     * 3. Extract ``source`` and ``target`` using 
      * {@link module:Util.source|``Util.source()``} and 
      * {@link module:Util.target|``Util.target()``}, respectively.
-     * 2. Check whether ``source`` and ``target`` are valid URLs using 
-     * {@link https://www.npmjs.com/package/validator|``validator``}.
-     * 3. Extract the FQDNs of ``source`` and ``target``. 
-     * 4. Extract the SLDs of ``source`` and ``target`` using
-     * {@link https://www.npmjs.com/package/tldjs|``tldjs``}.
-     * 5. Determine whether ``r`` is a first-party or third-party request.
-     *    Discard all first-party requests unless option ``firstParty === true``.
-     * 6. In case option ``sld === true`` use the extracted SLDs of ``source`` and ``target``
-     *    as the node names. Use the FQDNs of ``source`` and ``target`` otherwise.
-     * 7. Add nodes and edge using {@link Wdg.addNode|``Wdg.addNode``} and {@link Wdg.addEdge|``Wdg.addEdge``}.
+     * 4. Map ``source`` and ``target`` to nodes (see {@link Wdg~nodes|``nodes()``}).
+     *    Discarded requests are counted by reason (see {@link Wdg.discarded|``Wdg.discarded()``}).
+     *    Whether ``source`` and ``target`` have the same owner is stored in ``r.isFirstParty``,
+     *    and whether the nodes are organizations (option ``entity``) in ``r.isEntity``.
+     * 5. Add nodes and edge using {@link Wdg.addNode|``Wdg.addNode``} and {@link Wdg.addEdge|``Wdg.addEdge``}.
+     * 6. Record the identifiers sent to ``target`` using {@link Wdg.identify|``Wdg.identify()``}.
      * @memberof Wdg
      * @param {Object} r An HTTP/S request retrieved from the ``webRequest`` interface. 
      * See {@link https://developer.chrome.com/docs/extensions/reference/webRequest/#event-onBeforeRequest|webRequest.onBeforeRequest()}
@@ -154,47 +640,73 @@ export default function() {
      * See {@link https://www.npmjs.com/package/commander#options} for more details.
      */
     process(r, options) {
-      let target = Util.target(r);
-      let source = Util.source(r);
+      let names = (r.labels || []).map((label) => blocklists.name(label.blocklist));
+      let pending = names
+        .filter((name) => missing(name))
+        .reduce((acc, name) => {
+          acc[name] = blocklists.feature(name);
+          return acc;
+        }, {});
+
+      let chain = lookup(r);
+      if (chain && chain.redirectedFrom) {
+        r.redirectedFrom = chain.redirectedFrom;
+      }
 
-      // We only process requests that have valid URLs for source and target
-      if (!validator.isURL(new String(source), urlOptions) ||
-          !validator.isURL(new String(target), urlOptions)) {
-            return;
-          }
+      let redirect = nodes(Util.target(r), Util.redirect(r), options);
+      let request = nodes(Util.source(r), Util.target(r), options);
+      let values, candidates;
 
-      source = new URL(source).hostname;
-      target = new URL(target).hostname;
+      if (Array.isArray(request)) {
+        r.isFirstParty = request[2];
+        r.isEntity = Boolean(options.entity);
+        values = extract(r, pending);
+        candidates = Identifiers.candidates(r);
+      }
 
-      let sldSource = getDomain(source);
-      let sldTarget = getDomain(target);
-      let isFp = sldSource === sldTarget;
+      names.forEach((name) => this.register(name));
+      this.follow(r, chain);
 
-      // We only process third-party requests (!)
-      // We deem all first-party requests as benign,
-      // thus, neglecting any first-party tracking.
-      if (isFp && !options.firstParty) {
-        return;
+      if (Array.isArray(redirect) && redirect[0] !== redirect[1]) {
+        this.addNode(redirect[0], { label: redirect[0] });
+        this.addNode(redirect[1], { label: redirect[1] });
+        this.addRedirect(redirect[0], redirect[1]);
       }
 
-      if (options.sld) {
-        source = sldSource;
-        target = sldTarget;
+      if (!Array.isArray(request)) {
+        discarded[request] = (discarded[request] || 0) + 1;
+        return;
       }
 
+      let [source, target] = request;
       this.addNode(source, { label: source });
       this.addNode(target, { label: target });
-      this.addEdge(source, target, r);
+      this.addEdge(source, target, r, values);
+      this.identify(target, r, candidates);
     },
 
     /**
      * A method to compute the **node attributes** for a graph instance.
+     * The pending ID sharing edges are added beforehand (see {@link Wdg.share|``Wdg.share()``}).
+     * The node attributes are computed from the attributes of the incoming request edges,
+     * i.e., redirect and ID sharing edges are not considered. Besides the indegree, the number of
+     * distinct nodes a node shares identifiers with (``partners``) is passed to ``set()``.
      * **NOTE:** This method is called after all HTTP/S request have been processed
      * using {@link Wdg.process|``Wdg.process``}.
+     * In case option ``centrality`` is set, the selected centrality metrics are
+     * computed afterwards using {@link module:Centrality.compute|``Centrality.compute()``}.
+     * The returned promise is rejected in case a centrality metric fails.
+     * Sets of distinct values in the edge attributes are converted to arrays afterwards.
+     * The feature objects are registered for the attribute schema of the exporters
+     * (see {@link module:Schema.register|``Schema.register()``}).
      * @method
      * @memberof Wdg
+     * @param {Object} options Options object passed by ``commander`` to this function.
+     * See {@link https://www.npmjs.com/package/commander#options} for more details.
      */
-    async attributes() {
+    async attributes(options = {}) {
+      this.share();
+
       return new Promise((resolve, reject) => {
 
         let nodes = graph
@@ -202,15 +714,20 @@ export default function() {
           .map((node) => 
             new Promise((res, rej) => {
 
-              let features = graph
+              let accumulated = graph
                 .reduceInEdges(
                   node, 
                   (acc, edge, attr) => {
+                    if (!Util.isRequest(attr)) {
+                      return acc;
+                    }
+
                     Object
                       .keys(attr)
+                      .filter((key) => features[key])
                       .forEach((key) => {
-                        if (Features[key].accumulate) {
-                          acc[key] = Features[key].accumulate(acc[key], attr[key]);
+                        if (features[key].accumulate) {
+                          acc[key] = features[key].accumulate(acc[key], attr[key]);
                         } else {
                           acc[key] = acc[key] + attr[key];
                         }
@@ -220,36 +737,43 @@ export default function() {
                   },
                   {
                     ...Object
-                      .keys(Features)
+                      .keys(features)
                       .reduce((acc, val) => {
-                        acc[val] = 0;
+                        acc[val] = initial(val);
                         return acc;
                       }, {})
                   }
                 );
 
-              let indegree = graph.inDegree(node);
+              let indegree = graph
+                .filterInEdges(node, (edge, attr) => Util.isRequest(attr))
+                .length;
+              let partners = new Set(graph
+                .filterEdges(node, (edge, attr) => attr.edgeType === 'idSharing')
+                .map((edge) => graph.opposite(node, edge))
+              ).size;
               let promises = Object
-                .keys(features)
+                .keys(accumulated)
                 .map((feature) => 
-                  Features[feature]
+                  features[feature]
                     .set(feature, {
                         node: node,
-                        ...features,
-                        indegree
+                        ...accumulated,
+                        indegree,
+                        partners
                       })
                 );
 
               Promise
                 .all(promises)
                 .then((values) => {
-                  let features = values
+                  let attrs = values
                     .map((e, i) => ({
-                      [Object.keys(Features)[i]]: e
+                      [Object.keys(features)[i]]: e
                     }))
                     .reduce((acc, val) => Object.assign(acc, val), {});
 
-                  res({ node: node, features: features });
+                  res({ node: node, features: attrs });
                 })
                 .catch((err) => console.error(err));  
             })
@@ -259,17 +783,22 @@ export default function() {
           .all(nodes)
           .then((results) => {
             results
-              .forEach((e, idx) => {
+              .forEach((e) => {
                 graph.replaceNodeAttributes(
                   e.node, 
                   e.features
                 );
-
-                if (idx === results.length-1) {
-                  resolve(graph);
-                }
               });
+
+            graph.updateEachEdgeAttributes((edge, attrs) => plain(attrs));
+
+            if (options.centrality) {
+              Centrality.compute(graph, options);
+            }
+
+            resolve(Schema.register(graph, features));
           })
+          .catch(reject);
 
       });
     }
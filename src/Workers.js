@@ -0,0 +1,183 @@
+import fs from 'fs';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+
+import Inputs from './Inputs.js';
+import Labels from './Labels.js';
+import Plugins from './Plugins.js';
+import Records from './Records.js';
+import Wdg from './Wdg.js';
+
+/**
+ * @constant
+ * @type {Number}
+ * @desc The minimum interval in milliseconds between two progress messages of a worker.
+ */
+const interval = 500;
+
+/**
+ * A function to split the input files into contiguous chunks of about the same size (in bytes),
+ * one chunk per worker. The chunks keep the order of the files, so that the partial graphs
+ * can be merged in the same order the files are processed in single-threaded runs.
+ * @param {Array} files The paths of the input files.
+ * @param {Number} n The number of workers.
+ * @returns {Array} Returns at most ``n`` non-empty chunks of files.
+ */
+const chunks = (files, n) => {
+  let sizes = files.map((file) => Math.max(fs.statSync(file).size, 1));
+  let total = sizes.reduce((acc, val) => acc + val, 0);
+  let processed = 0;
+
+  return files
+    .reduce((acc, file, idx) => {
+      let chunk = Math.min(Math.floor(processed / total * n), n - 1);
+      processed += sizes[idx];
+
+      acc[chunk] = (acc[chunk] || []).concat([file]);
+      return acc;
+    }, [])
+    .filter(Boolean);
+};
+
+/**
+ * A function to process a chunk of input files in a worker thread. The records are validated,
+ * labeled, and added to a partial graph (see {@link module:Records.ingest|``Records.ingest()``}),
+ * but the node attributes are not computed.
+ * @param {Object} data The data passed to the worker, i.e., ``{ files, options }``.
+ * @returns {Promise} Resolves with the state of the partial graph (see {@link Wdg.checkpoint|``Wdg.checkpoint()``}),
+ * the number of records and the skipped records by reason.
+ * Rejects with an error in case a file cannot be read, or a record is invalid and option ``strict`` is set.
+ */
+const ingest = async ({ files, options }) => {
+  let features = await Plugins.load(options);
+  let blocklists = Labels.load(options.blocklist);
+  let graph = new Wdg(features, options);
+  let records = 0;
+  let skipped = {};
+  let errors = new Set();
+  let printed = 0;
+
+  for (let file of files) {
+    let idx = 0;
+    let failure;
+
+    try {
+      for await (let r of Inputs.iterate(file, options)) {
+        let reason = Records.ingest(r, graph, blocklists, options, errors);
+        if (reason && options.strict) {
+          failure = 'invalid record ' + idx + ' of ' + file + ' (' + reason + ')';
+          break;
+        }
+
+        if (reason) {
+          skipped[reason] = (skipped[reason] || 0) + 1;
+        }
+
+        idx += 1;
+        records += 1;
+        if (Date.now() - printed >= interval) {
+          printed = Date.now();
+          parentPort.postMessage({ progress: records });
+        }
+      }
+    } catch (err) {
+      throw new Error('failed to read ' + file + ' (' + err.message + ')');
+    }
+
+    if (failure) {
+      throw new Error(failure);
+    }
+  }
+
+  return {
+    state: graph.checkpoint(),
+    records,
+    skipped,
+  };
+};
+
+if (!isMainThread && workerData && workerData.module === 'Workers') {
+  ingest(workerData)
+    .then((result) => parentPort.postMessage({ result }))
+    .catch((err) => parentPort.postMessage({ error: err.message }));
+}
+
+/**
+ * A module to process the input files with several worker threads (option ``workers``).
+ * The files are split into contiguous chunks (see {@link module:Workers~chunks|``chunks()``}),
+ * each worker parses its files and extracts the edge attributes into a partial graph,
+ * and the partial graphs are merged in order into a single graph instance
+ * (see {@link Wdg.restore|``Wdg.restore()``}), i.e., the edge attributes are combined
+ * using ``accumulate()`` of each feature. Hence, the result is identical to single-threaded runs.
+ * **NOTE:** Redirect chains spanning several files are only followed within the files of a worker.
+ * @module Workers
+ */
+export default {
+
+  /**
+   * A function to check option ``workers``.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @returns {String} Returns an error message in case the option is invalid.
+   * Returns ``undefined`` otherwise.
+   */
+  validate(options) {
+    if (!/^[0-9]+$/.test(String(options.workers)) || Number(options.workers) < 1) {
+      return 'invalid number of workers ' + options.workers + ' (expected a positive number)';
+    }
+  },
+
+  /**
+   * A function to process the input files with worker threads and to merge the partial graphs
+   * into ``graph``. The node attributes have to be computed afterwards
+   * (see {@link Wdg.attributes|``Wdg.attributes()``}).
+   * @param {Array} files The paths of the input files.
+   * @param {Object} options Options object passed by ``commander``.
+   * See {@link https://www.npmjs.com/package/commander#options} for more details.
+   * @param {Object} graph The graph instance the partial graphs are merged into.
+   * @param {Function} progress Callback which receives the index of a worker and its number of processed records.
+   * @returns {Promise} Resolves with the report of the skipped records
+   * (see {@link module:Records.report|``Records.report()``}). Rejects with an error in case a worker fails.
+   */
+  run(files, options, graph, progress = () => {}) {
+    let workers = chunks(files, Number(options.workers))
+      .map((chunk, idx) => new Promise((resolve, reject) => {
+        let worker = new Worker(new URL(import.meta.url), {
+          workerData: { module: 'Workers', files: chunk, options },
+        });
+
+        worker.on('message', (message) => {
+          if (message.progress !== undefined) {
+            progress(idx, message.progress);
+          } else if (message.error !== undefined) {
+            reject(new Error(message.error));
+          } else {
+            progress(idx, message.result.records);
+            resolve(message.result);
+          }
+        });
+        worker.on('error', reject);
+        worker.on('exit', (code) => (code !== 0)
+          ? reject(new Error('worker ' + idx + ' stopped with exit code ' + code))
+          : undefined
+        );
+      }));
+
+    return Promise
+      .all(workers)
+      .then((results) => {
+        let skipped = {};
+        results.forEach((result) => {
+          graph.restore(result.state);
+          Object
+            .entries(result.skipped)
+            .forEach(([reason, count]) => skipped[reason] = (skipped[reason] || 0) + count);
+        });
+
+        return Records.report(
+          results.reduce((acc, result) => acc + result.records, 0),
+          skipped
+        );
+      });
+  },
+
+};